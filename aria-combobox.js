@@ -0,0 +1,184 @@
+/**
+ * ARIA Combobox
+ * Fills custom choice widgets: comboboxes and typeaheads (role="combobox", aria-autocomplete) get the value typed
+ * as a query and the best-matching option picked once the options render; standalone listboxes get the option
+ * clicked. When no option matches, the typed text is taken back out and the fill reports failure.
+ */
+
+class AriaCombobox {
+  static MATCH_THRESHOLD = 0.6;
+
+  static isCombobox(element) {
+    if (element.getAttribute('role') === 'combobox') return true;
+    if (element.tagName !== 'INPUT') return false;
+    return /^(?:list|both)$/.test(element.getAttribute('aria-autocomplete') || '') ||
+      element.getAttribute('aria-haspopup') === 'listbox' ||
+      !!element.closest('[role="combobox"]');
+  }
+
+  /**
+   * A standalone listbox, not the popup of a combobox
+   */
+  static isListbox(element) {
+    return element.getAttribute('role') === 'listbox' && !AriaCombobox.isPopup(element);
+  }
+
+  /**
+   * Parts filled through another element: a combobox wrapper around its own input, or a combobox's popup
+   */
+  static isInnerPart(element) {
+    if (element.getAttribute('role') === 'combobox' && element.tagName !== 'INPUT' && element.querySelector('input')) {
+      return true;
+    }
+    return element.getAttribute('role') === 'listbox' && AriaCombobox.isPopup(element);
+  }
+
+  static isPopup(listbox) {
+    if (listbox.closest('[role="combobox"]')) return true;
+    if (!listbox.id) return false;
+    return !!DeepDom.rootOf(listbox).querySelector(`[aria-controls~="${listbox.id}"], [aria-owns~="${listbox.id}"]`);
+  }
+
+  /**
+   * Type the value (or, for a select-only combobox, open it) and pick the best option; false when none matches
+   */
+  static async fill(element, value) {
+    const isInput = element.tagName === 'INPUT';
+    const previous = isInput ? element.value : '';
+    const queries = [value];
+    const firstWord = value.trim().split(/\s+/)[0];
+    if (isInput && firstWord !== value.trim()) queries.push(firstWord);
+
+    for (const query of queries) {
+      if (isInput) {
+        AriaCombobox.type(element, query);
+      } else {
+        AriaCombobox.open(element);
+      }
+
+      const option = await AriaCombobox.waitForOption(element, value);
+      if (option) {
+        AriaCombobox.choose(option);
+        return true;
+      }
+      if (!isInput) break;
+    }
+
+    // Leave the field as it was rather than with a query the EMR won't accept
+    if (isInput) AriaCombobox.type(element, previous);
+    AriaCombobox.close(element);
+    return false;
+  }
+
+  static fillListbox(listbox, value) {
+    const option = AriaCombobox.bestOption(AriaCombobox.optionsIn(listbox), value);
+    if (!option) return false;
+    AriaCombobox.choose(option);
+    return true;
+  }
+
+  static type(input, text) {
+    input.focus();
+    DeepDom.valueSetter(input).call(input, text);
+    input.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+  }
+
+  static open(element) {
+    element.focus();
+    element.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+    element.click();
+  }
+
+  static close(element) {
+    element.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', bubbles: true }));
+  }
+
+  static choose(option) {
+    option.scrollIntoView({ block: 'nearest' });
+    option.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+    option.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, cancelable: true }));
+    option.click();
+  }
+
+  /**
+   * Poll for up to two seconds while the options render (typeaheads often search the server first)
+   */
+  static async waitForOption(element, value) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const option = AriaCombobox.bestOption(AriaCombobox.optionsFor(element), value);
+      if (option) return option;
+    }
+    return null;
+  }
+
+  /**
+   * Visible options of the element's popup: the listbox it controls or owns, one inside it, or one portalled
+   * elsewhere in the page
+   */
+  static optionsFor(element) {
+    const owner = element.closest('[role="combobox"]') || element;
+    const ids = [element, owner]
+      .flatMap(el => [el.getAttribute('aria-controls'), el.getAttribute('aria-owns')])
+      .filter(Boolean)
+      .join(' ')
+      .split(/\s+/);
+
+    for (const id of ids) {
+      const listbox = DeepDom.rootOf(element).getElementById?.(id) || document.getElementById(id);
+      if (listbox) return AriaCombobox.optionsIn(listbox);
+    }
+
+    const inside = (owner === element ? element.parentElement : owner)?.querySelector('[role="listbox"]');
+    if (inside) return AriaCombobox.optionsIn(inside);
+
+    return AriaCombobox.visible(DeepDom.querySelectorAll('[role="option"]'));
+  }
+
+  static optionsIn(listbox) {
+    return AriaCombobox.visible(Array.from(listbox.querySelectorAll('[role="option"]')));
+  }
+
+  static visible(options) {
+    return options.filter(option =>
+      option.getAttribute('aria-disabled') !== 'true' && option.getClientRects().length > 0
+    );
+  }
+
+  static bestOption(options, value) {
+    let best = null;
+    let bestScore = 0;
+    for (const option of options) {
+      const score = AriaCombobox.score(option.textContent, value);
+      if (score > bestScore) {
+        best = option;
+        bestScore = score;
+      }
+    }
+    return bestScore >= AriaCombobox.MATCH_THRESHOLD ? best : null;
+  }
+
+  /**
+   * How well an option's text matches the value, 0–1, by whole words so "male" never matches "Female"
+   */
+  static score(optionText, value) {
+    const normalize = (text) => text.toLowerCase()
+      .replace(/(\d)([a-z])/g, '$1 $2')
+      .replace(/[^a-z0-9.]+/g, ' ')
+      .trim();
+    const option = normalize(optionText);
+    const wanted = normalize(value);
+    if (!option || !wanted) return 0;
+    if (option === wanted) return 1;
+
+    // "M" / "F" style options for a spelled-out value
+    if (option.length === 1) {
+      return !wanted.includes(' ') && wanted.startsWith(option) ? 0.8 : 0;
+    }
+
+    const optionWords = option.split(' ');
+    const wantedWords = wanted.split(' ');
+    const shared = wantedWords.filter(word => optionWords.includes(word)).length;
+    return 0.7 * shared / wantedWords.length + 0.3 * shared / optionWords.length;
+  }
+}
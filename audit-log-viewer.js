@@ -0,0 +1,132 @@
+/**
+ * Audit log page: lists every recorded autofill run and exports the log as CSV or JSON
+ */
+
+class AuditLogViewer {
+  constructor() {
+    this.container = document.getElementById('log');
+    this.log = new Logger('Audit Log');
+    this.init();
+  }
+
+  async init() {
+    try {
+      this.entries = await AutofillAuditLog.getAll();
+      this.render();
+    } catch (error) {
+      this.log.error('Failed to load the log:', error);
+      this.container.textContent = 'Could not load the audit log';
+    }
+
+    document.getElementById('exportCsv').addEventListener('click', () => {
+      this.download('csv', AutofillAuditLog.toCsv(this.entries), 'text/csv');
+    });
+    document.getElementById('exportJson').addEventListener('click', () => {
+      this.download('json', JSON.stringify(this.entries, null, 2), 'application/json');
+    });
+
+    // Runs recorded while the page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[AutofillAuditLog.STORAGE_KEY]) {
+        this.entries = changes[AutofillAuditLog.STORAGE_KEY].newValue || [];
+        this.render();
+      }
+    });
+  }
+
+  render() {
+    this.container.replaceChildren();
+
+    if (!this.entries || this.entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty';
+      empty.textContent = 'No autofill runs recorded yet.';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const table = this.createTable(['Time', 'Site', 'Trigger', 'Outcome', 'Transcript hash', 'Fields']);
+    for (const entry of [...this.entries].reverse()) {
+      const written = entry.fields.filter(field => field.status === 'filled').length;
+      const row = this.createRow([
+        new Date(entry.timestamp).toLocaleString(),
+        `${entry.origin}${entry.path}`,
+        entry.trigger,
+        entry.outcome,
+        entry.transcriptHash ? entry.transcriptHash.substring(0, 16) : '—'
+      ]);
+      row.children[4].className = 'code';
+      if (entry.transcriptHash) row.children[4].title = entry.transcriptHash;
+
+      const fieldsCell = document.createElement('td');
+      if (entry.fields.length > 0) {
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = `${written} of ${entry.fields.length} filled`;
+        details.append(summary, this.createFieldTable(entry.fields));
+        fieldsCell.appendChild(details);
+      } else {
+        fieldsCell.textContent = '—';
+      }
+      row.appendChild(fieldsCell);
+      table.tBodies[0].appendChild(row);
+    }
+    this.container.appendChild(table);
+  }
+
+  createFieldTable(fields) {
+    const describe = (value) => {
+      if (!value) return '—';
+      return value.hash ? `${value.length} chars, ${value.hash.substring(0, 12)}…` : `${value.length} chars`;
+    };
+
+    const table = this.createTable(['dataKey', 'Target', 'Confidence', 'Source', 'Status', 'Before', 'After']);
+    for (const field of fields) {
+      const flags = [field.retargeted && 'retargeted', field.flagged && 'flagged', field.inFrame && 'in frame'].filter(Boolean);
+      table.tBodies[0].appendChild(this.createRow([
+        field.dataKey,
+        field.target,
+        `${Math.round(field.confidence * 100)}%`,
+        field.source,
+        flags.length ? `${field.status} (${flags.join(', ')})` : field.status,
+        describe(field.before),
+        describe(field.after)
+      ]));
+    }
+    return table;
+  }
+
+  createTable(headings) {
+    const table = document.createElement('table');
+    const headRow = document.createElement('tr');
+    for (const heading of headings) {
+      const th = document.createElement('th');
+      th.textContent = heading;
+      headRow.appendChild(th);
+    }
+    table.createTHead().appendChild(headRow);
+    table.createTBody();
+    return table;
+  }
+
+  createRow(values) {
+    const row = document.createElement('tr');
+    for (const value of values) {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+    return row;
+  }
+
+  download(extension, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `autofill-audit-log-${new Date().toISOString().substring(0, 10)}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+new AuditLogViewer();
@@ -0,0 +1,129 @@
+/**
+ * Autofill Audit Log
+ * A local record of every autofill run for compliance review: when and where it ran, which transcript (by hash)
+ * and, per field, the dataKey, target, confidence and outcome. Field values are never stored, only their lengths,
+ * plus salted hashes when that is turned on in the options.
+ */
+
+class AutofillAuditLog {
+  static STORAGE_KEY = 'auditLog';
+  static SALT_KEY = 'auditSalt';
+  static MAX_ENTRIES = 1000;
+
+  // Runs from several tabs can arrive together; appends are chained so none is lost
+  static writes = Promise.resolve();
+
+  static async getAll() {
+    const { [AutofillAuditLog.STORAGE_KEY]: log } = await chrome.storage.local.get(AutofillAuditLog.STORAGE_KEY);
+    return log || [];
+  }
+
+  /**
+   * Store a run reported by a content script. Only the properties listed in toEntry are kept, so raw values
+   * sent along with the run never reach storage.
+   * @param {Object} run - { trigger, origin, path, transcript, outcome, fields: [{ dataKey, target, ..., before, after }] }
+   */
+  static record(run) {
+    const write = AutofillAuditLog.writes.then(async () => {
+      const entry = await AutofillAuditLog.toEntry(run);
+      const log = await AutofillAuditLog.getAll();
+      log.push(entry);
+      await chrome.storage.local.set({ [AutofillAuditLog.STORAGE_KEY]: log.slice(-AutofillAuditLog.MAX_ENTRIES) });
+      return entry;
+    });
+    AutofillAuditLog.writes = write.catch(() => {});
+    return write;
+  }
+
+  static async toEntry(run) {
+    const { auditValueHashes } = await AutofillSettings.get();
+    const salt = auditValueHashes ? await AutofillAuditLog.salt() : null;
+
+    const describe = async (value) => {
+      if (value === null || value === undefined) return null;
+      const text = String(value);
+      return salt
+        ? { length: text.length, hash: await AutofillAuditLog.sha256(salt + text) }
+        : { length: text.length };
+    };
+
+    const fields = [];
+    for (const field of run.fields || []) {
+      fields.push({
+        dataKey: field.dataKey,
+        target: field.target,
+        confidence: Math.round((field.confidence || 0) * 100) / 100,
+        source: field.source,
+        retargeted: !!field.retargeted,
+        flagged: !!field.flagged,
+        inFrame: !!field.inFrame,
+        status: field.status,
+        before: await describe(field.before),
+        after: await describe(field.after)
+      });
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      trigger: run.trigger,
+      origin: run.origin,
+      path: run.path,
+      // Unsalted, so a transcript kept in the dictation app can be matched to its run
+      transcriptHash: run.transcript ? await AutofillAuditLog.sha256(run.transcript) : null,
+      outcome: run.outcome,
+      fields: fields
+    };
+  }
+
+  /**
+   * Per-install salt for value hashes, so short values like an age can't be looked up in a precomputed table
+   */
+  static async salt() {
+    const { [AutofillAuditLog.SALT_KEY]: stored } = await chrome.storage.local.get(AutofillAuditLog.SALT_KEY);
+    if (stored) return stored;
+
+    const salt = crypto.randomUUID();
+    await chrome.storage.local.set({ [AutofillAuditLog.SALT_KEY]: salt });
+    return salt;
+  }
+
+  static async sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * One CSV row per field, with the run's details repeated; runs without fields get a single row
+   */
+  static toCsv(entries) {
+    const columns = [
+      'timestamp', 'origin', 'path', 'trigger', 'outcome', 'transcriptHash',
+      'dataKey', 'target', 'confidence', 'source', 'retargeted', 'flagged', 'inFrame', 'status',
+      'beforeLength', 'beforeHash', 'afterLength', 'afterHash'
+    ];
+    const quote = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [];
+    for (const entry of entries) {
+      const run = [entry.timestamp, entry.origin, entry.path, entry.trigger, entry.outcome, entry.transcriptHash];
+      const fields = entry.fields.length > 0 ? entry.fields : [null];
+      for (const field of fields) {
+        rows.push([
+          ...run,
+          ...(field
+            ? [
+                field.dataKey, field.target, field.confidence, field.source, field.retargeted, field.flagged,
+                field.inFrame, field.status, field.before?.length, field.before?.hash, field.after?.length, field.after?.hash
+              ]
+            : [])
+        ]);
+      }
+    }
+
+    return [columns, ...rows].map(row => row.map(quote).join(',')).join('\r\n');
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Autofill History
+ * Records what every field held before an autofill run so the run can be undone
+ */
+
+class AutofillHistory {
+  constructor(maxRuns = 10) {
+    this.maxRuns = maxRuns;
+    this.runs = [];
+    this.currentRun = null;
+  }
+
+  /**
+   * Start recording a new autofill run
+   */
+  beginRun() {
+    this.currentRun = { startedAt: Date.now(), snapshots: new Map(), frames: new Set(), addedRows: [] };
+  }
+
+  /**
+   * Finish the current run; returns true if it touched any field
+   */
+  endRun() {
+    const run = this.currentRun;
+    this.currentRun = null;
+
+    if (!run || (run.snapshots.size === 0 && run.frames.size === 0 && run.addedRows.length === 0)) return false;
+
+    this.runs.push(run);
+    if (this.runs.length > this.maxRuns) {
+      this.runs.shift();
+    }
+    return true;
+  }
+
+  /**
+   * Snapshot a field before it is written (radio buttons snapshot their whole group)
+   */
+  record(element) {
+    if (!this.currentRun) return;
+
+    const elements = element.type === 'radio' && element.name
+      ? Array.from(DeepDom.rootOf(element).querySelectorAll(`input[type="radio"][name="${element.name}"]`))
+      : [element];
+
+    for (const el of elements) {
+      if (!this.currentRun.snapshots.has(el)) {
+        this.currentRun.snapshots.set(el, this.captureState(el));
+      }
+    }
+  }
+
+  /**
+   * Note a cross-origin frame that filled fields in this run; it keeps its own snapshots for undo
+   */
+  recordFrame(frameId) {
+    if (!this.currentRun) return;
+    this.currentRun.frames.add(frameId);
+  }
+
+  /**
+   * Note a repeating-list row the run added to the page, so undo can remove it again
+   */
+  recordAddedRow(row) {
+    if (!this.currentRun) return;
+    this.currentRun.addedRows.push(row);
+  }
+
+  captureState(element) {
+    if (RichTextEditor.isEditor(element)) {
+      return { html: element.innerHTML, text: RichTextEditor.text(element) };
+    }
+    if (element.type === 'checkbox' || element.type === 'radio') {
+      return { checked: element.checked };
+    }
+    return { value: element.value };
+  }
+
+  canUndo() {
+    return this.runs.length > 0;
+  }
+
+  /**
+   * Frames the most recent run filled, which need their own undo before undoLastRun drops the run
+   */
+  lastRunFrames() {
+    const run = this.runs[this.runs.length - 1];
+    return run ? Array.from(run.frames) : [];
+  }
+
+  /**
+   * Restore every field touched by the most recent run and remove the rows it added;
+   * returns the number of fields restored and rows removed
+   */
+  undoLastRun() {
+    const run = this.runs.pop();
+    if (!run) return 0;
+
+    let restored = 0;
+    for (const [element, state] of run.snapshots) {
+      if (!element.isConnected) continue;
+      if (this.restoreState(element, state)) restored++;
+    }
+    // Newest first, the reverse of the order they were added in
+    for (const row of [...run.addedRows].reverse()) {
+      if (row.isConnected && RepeatingRows.removeRow(row)) restored++;
+    }
+    return restored;
+  }
+
+  /**
+   * Put a field back and fire the same events the fill fired, so the EMR framework sees the change
+   */
+  restoreState(element, state) {
+    if ('checked' in state) {
+      if (element.checked === state.checked) return false;
+      element.checked = state.checked;
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }
+
+    if ('html' in state) {
+      if (element.innerHTML === state.html) return false;
+      RichTextEditor.write(element, state.html, state.text);
+      return true;
+    }
+
+    if (element.value === state.value) return false;
+
+    if (element.tagName === 'SELECT') {
+      element.value = state.value;
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }
+
+    DeepDom.valueSetter(element).call(element, state.value);
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.dispatchEvent(new Event('blur', { bubbles: true }));
+    return true;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Field Mapping Profiles
+ * Saved per-EMR-site bindings of a CSS selector or field name to a dataKey
+ *
+ * Profile shape: { id, name, origin, pathPattern, bindings: [{ dataKey, selector }] }
+ * pathPattern uses * as a wildcard and matches the whole pathname; empty matches every path.
+ */
+
+class FieldMappingProfiles {
+  /**
+   * Most specific saved profile for a page location, or null
+   */
+  static async findForLocation(location) {
+    const { profiles } = await AutofillSettings.get();
+    return FieldMappingProfiles.bestMatch(profiles, location);
+  }
+
+  static bestMatch(profiles, location) {
+    const matching = profiles.filter(profile => FieldMappingProfiles.matchesLocation(profile, location));
+    if (matching.length === 0) return null;
+
+    // Longer path patterns are more specific
+    matching.sort((a, b) => (b.pathPattern || '').length - (a.pathPattern || '').length);
+    return matching[0];
+  }
+
+  static matchesLocation(profile, location) {
+    if (!profile.origin || profile.origin !== location.origin) return false;
+    if (!profile.pathPattern) return true;
+
+    const pattern = profile.pathPattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${pattern}$`).test(location.pathname);
+  }
+
+  /**
+   * Pin a dataKey to a field in the profile for a page, replacing any binding it had for that dataKey.
+   * The new binding goes first, so it wins a field that older bindings also point at.
+   * Pages without a profile get a new one covering their whole origin.
+   */
+  static async addBinding(location, binding) {
+    const { profiles } = await AutofillSettings.get();
+
+    let profile = FieldMappingProfiles.bestMatch(profiles, location);
+    if (!profile) {
+      profile = { id: crypto.randomUUID(), name: location.hostname, origin: location.origin, pathPattern: '', bindings: [] };
+      profiles.push(profile);
+    }
+    profile.bindings = [binding, ...profile.bindings.filter(existing => existing.dataKey !== binding.dataKey)];
+
+    await AutofillSettings.update({ profiles: profiles });
+    return profile;
+  }
+
+  /**
+   * Find the detected field a binding points at; the selector may be a CSS selector or a field name/id
+   */
+  static resolveBinding(binding, fields) {
+    const selector = binding.selector.trim();
+    if (!selector) return null;
+
+    const byName = fields.find(field => field.name === selector || field.id === selector);
+    if (byName) return byName;
+
+    try {
+      return fields.find(field => field.element.matches(selector)) || null;
+    } catch (error) {
+      // Not a valid CSS selector and not a known field name
+      return null;
+    }
+  }
+
+  /**
+   * Parse "dataKey = selector" lines into bindings
+   */
+  static parseBindings(text) {
+    return text
+      .split('\n')
+      .map(line => line.match(/^\s*(\w+)\s*=\s*(.+?)\s*$/))
+      .filter(Boolean)
+      .map(([, dataKey, selector]) => ({ dataKey, selector }));
+  }
+
+  static formatBindings(bindings) {
+    return bindings.map(binding => `${binding.dataKey} = ${binding.selector}`).join('\n');
+  }
+}
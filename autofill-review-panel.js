@@ -0,0 +1,168 @@
+/**
+ * Autofill Review Panel
+ * In-page panel listing proposed mappings so each one can be accepted, rejected or retargeted before filling
+ */
+
+class AutofillReviewPanel {
+  constructor(mappings, fields, lowConfidenceThreshold) {
+    this.mappings = mappings;
+    this.fields = fields.filter(field => !field.readonly && !field.disabled);
+    this.lowConfidenceThreshold = lowConfidenceThreshold;
+    this.rows = [];
+    this.container = null;
+  }
+
+  /**
+   * Show the panel; resolves with the approved mappings, or null if the review was cancelled
+   */
+  review() {
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.render();
+    });
+  }
+
+  render() {
+    this.container = document.createElement('div');
+    this.container.setAttribute('role', 'dialog');
+    this.container.setAttribute('aria-label', 'Review autofill');
+    this.container.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      width: 560px;
+      max-width: calc(100vw - 40px);
+      max-height: calc(100vh - 40px);
+      display: flex;
+      flex-direction: column;
+      background: white;
+      color: #333;
+      border-radius: 8px;
+      box-shadow: 0 4px 24px rgba(0,0,0,0.25);
+      z-index: 10001;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+      font-size: 13px;
+    `;
+
+    const header = document.createElement('div');
+    header.textContent = `Review autofill (${this.mappings.length} fields)`;
+    header.style.cssText = 'padding: 14px 16px; font-size: 15px; font-weight: 600; border-bottom: 1px solid #e5e7eb;';
+
+    const list = document.createElement('div');
+    list.style.cssText = 'overflow-y: auto; padding: 8px 16px;';
+    this.mappings.forEach(mapping => list.appendChild(this.renderRow(mapping)));
+
+    const footer = document.createElement('div');
+    footer.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; padding: 12px 16px; border-top: 1px solid #e5e7eb;';
+    footer.append(
+      this.createButton('Cancel', '#6b7280', () => this.close(null)),
+      this.createButton('Fill accepted', '#10b981', () => this.close(this.collectApproved()))
+    );
+
+    this.keyHandler = (e) => {
+      if (e.key === 'Escape') this.close(null);
+    };
+    document.addEventListener('keydown', this.keyHandler, true);
+
+    this.container.append(header, list, footer);
+    document.body.appendChild(this.container);
+  }
+
+  renderRow(mapping) {
+    const isLowConfidence = mapping.confidence < this.lowConfidenceThreshold;
+    const background = mapping.warning ? '#fee2e2' : isLowConfidence ? '#fef3c7' : '#f9fafb';
+
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: grid;
+      grid-template-columns: 20px 1fr 56px;
+      gap: 4px 8px;
+      align-items: center;
+      padding: 8px;
+      margin-bottom: 6px;
+      border-radius: 6px;
+      background: ${background};
+    `;
+
+    const accept = document.createElement('input');
+    accept.type = 'checkbox';
+    // Flagged values stay unticked until the clinician accepts them
+    accept.checked = !mapping.warning;
+    accept.setAttribute('aria-label', `Accept ${mapping.dataKey}`);
+
+    const target = document.createElement('select');
+    target.style.cssText = 'width: 100%; font: inherit;';
+    this.fields.forEach((field, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = this.describeField(field);
+      option.selected = field === mapping.field;
+      target.appendChild(option);
+    });
+
+    const confidence = document.createElement('span');
+    confidence.textContent = `${(mapping.confidence * 100).toFixed(0)}%`;
+    confidence.title = isLowConfidence ? 'Low confidence match' : 'Match confidence';
+    confidence.style.cssText = `text-align: right; font-weight: 600; color: ${isLowConfidence ? '#b45309' : '#047857'};`;
+
+    const dataKey = document.createElement('span');
+    dataKey.textContent = mapping.dataKey;
+    dataKey.style.cssText = 'grid-column: 2 / 4; font-size: 11px; text-transform: uppercase; color: #6b7280;';
+
+    const value = document.createElement('div');
+    value.textContent = mapping.value;
+    value.style.cssText = 'grid-column: 2 / 4; max-height: 60px; overflow-y: auto; white-space: pre-wrap; color: #111827;';
+
+    accept.addEventListener('change', () => {
+      row.style.opacity = accept.checked ? '1' : '0.5';
+      target.disabled = !accept.checked;
+    });
+
+    row.append(accept, target, confidence, dataKey, value);
+
+    if (mapping.warning) {
+      const warning = document.createElement('div');
+      warning.textContent = `⚠ ${mapping.warning}`;
+      warning.setAttribute('role', 'alert');
+      warning.style.cssText = 'grid-column: 2 / 4; font-weight: 500; color: #b91c1c;';
+      row.appendChild(warning);
+      row.style.opacity = '0.5';
+      target.disabled = true;
+    }
+
+    this.rows.push({ mapping, accept, target });
+    return row;
+  }
+
+  describeField(field) {
+    const name = field.label || field.placeholder || field.ariaLabel || field.name || field.id || `Field ${field.index + 1}`;
+    return name.length > 60 ? name.substring(0, 57) + '...' : name;
+  }
+
+  createButton(label, color, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = `padding: 8px 14px; border: none; border-radius: 6px; background: ${color}; color: white; font: inherit; font-weight: 500; cursor: pointer;`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  collectApproved() {
+    return this.rows
+      .filter(row => row.accept.checked)
+      .map(row => {
+        const field = this.fields[Number(row.target.value)];
+        return field === row.mapping.field
+          ? row.mapping
+          : { ...row.mapping, field, retargeted: true };
+      });
+  }
+
+  close(result) {
+    document.removeEventListener('keydown', this.keyHandler, true);
+    this.container?.remove();
+    this.container = null;
+    this.resolve(result);
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Autofill Settings
+ * Shared access to the extension settings kept in chrome.storage.local
+ */
+
+class AutofillSettings {
+  static DEFAULTS = {
+    // When to show the review panel: 'always', 'lowConfidence' or 'never'
+    reviewMode: 'lowConfidence',
+    lowConfidenceThreshold: 0.8,
+    // Audit log keeps value lengths only; with this on it also keeps salted SHA-256 hashes of the values
+    auditValueHashes: false,
+    // Console output: debug messages only when debugLogging is on, patient data only when verboseLogging is on
+    debugLogging: false,
+    verboseLogging: false,
+    // Per-EMR-site field bindings, see autofill-profiles.js
+    profiles: [],
+    // Save the section picked from "Fill this field with…" as a binding in the site's profile
+    rememberContextFills: false,
+    // Where the EMR shows the open chart's patient; empty selectors fall back to heuristics
+    patientBanner: {
+      nameSelector: '',
+      dobSelector: '',
+      mrnSelector: ''
+    },
+    // Transcription apps to capture from, see transcription-sources.js
+    transcriptionSources: [
+      {
+        id: 'intron-transcribe',
+        name: 'Intron Transcribe',
+        origin: 'https://transcribe.intron.health',
+        transcriptSelector: '#textBox, #id-intronies-transcript-textbox',
+        stopSelector: '#stopBtn, #id-intronies-stop-btn',
+        completionSelector: '#start-prompt',
+        completionText: 'finished, review'
+      },
+      {
+        id: 'intron-voice',
+        name: 'Intron Voice',
+        origin: 'https://voice.intron.io',
+        transcriptSelector: '#textBox, #id-intronies-transcript-textbox',
+        stopSelector: '#stopBtn, #id-intronies-stop-btn',
+        completionSelector: '#start-prompt',
+        completionText: 'finished, review'
+      }
+    ]
+  };
+
+  /**
+   * Stored settings merged over the defaults
+   */
+  static async get() {
+    const { settings } = await chrome.storage.local.get('settings');
+    return { ...structuredClone(AutofillSettings.DEFAULTS), ...(settings || {}) };
+  }
+
+  /**
+   * Save changed settings, leaving the others as stored
+   */
+  static async update(changes) {
+    const { settings } = await chrome.storage.local.get('settings');
+    const updated = { ...(settings || {}), ...changes };
+    await chrome.storage.local.set({ settings: updated });
+    return { ...structuredClone(AutofillSettings.DEFAULTS), ...updated };
+  }
+}
@@ -1,145 +1,657 @@
+importScripts('autofill-settings.js', 'logger.js', 'transcription-sources.js', 'autofill-profiles.js', 'narrative-extractor.js', 'clinical-note-parser.js', 'audit-log.js');
+
 class AutofillBackgroundService {
+  static STATE_KEYS = ['inbox', 'selectedTranscriptId', 'transcriptionTabId', 'emrTabId', 'emrOrigin', 'pendingFills'];
+  static MAX_INBOX_ENTRIES = 20;
+  static CONTEXT_MENU_ID = 'fill-field';
+  static WHOLE_TRANSCRIPT = 'transcript';
+
   constructor() {
+    this.log = new Logger('Background Service');
     this.transcriptionTabId = null;
+    // Set only by the user pairing a tab; the pairing holds while the tab stays on emrOrigin
     this.emrTabId = null;
-    this.latestTranscript = null;
-    this.transcriptionAppUrl = 'transcribe.intron.health';
+    this.emrOrigin = null;
+    // Captured transcripts: { id, text, capturedAt, sourceTabId, patient: { name, dob }, status, complete }
+    this.inbox = [];
+    this.selectedTranscriptId = null;
+    // Values a multi-step form had no field for yet, by tab id: { fields, patient, transcript, origin }
+    this.pendingFills = {};
+    // Open toolbar popups, kept in sync through broadcastStatus
+    this.popupPorts = new Set();
+    // Context menu rebuilds run one at a time; menuSignature skips rebuilds that would change nothing
+    this.menuUpdates = Promise.resolve();
+    this.menuSignature = null;
+    this.ready = this.restoreState();
     this.init();
   }
 
+  /**
+   * Rehydrate state saved before Chrome last terminated the service worker
+   */
+  async restoreState() {
+    try {
+      const { sessionState } = await chrome.storage.session.get('sessionState');
+      if (!sessionState) return;
+
+      const [transcriptionTabExists, emrTab] = await Promise.all([
+        this.tabExists(sessionState.transcriptionTabId),
+        sessionState.emrTabId == null ? null : chrome.tabs.get(sessionState.emrTabId).catch(() => null)
+      ]);
+      const emrTabPaired = !!emrTab && this.originOf(emrTab.url) === sessionState.emrOrigin;
+
+      const pendingFills = {};
+      for (const [tabId, pending] of Object.entries(sessionState.pendingFills || {})) {
+        if (await this.tabExists(Number(tabId))) pendingFills[tabId] = pending;
+      }
+
+      // Tabs closed while the worker was asleep are no longer paired
+      await this.setState({
+        pendingFills: pendingFills,
+        inbox: sessionState.inbox || [],
+        selectedTranscriptId: sessionState.selectedTranscriptId || null,
+        transcriptionTabId: transcriptionTabExists ? sessionState.transcriptionTabId : null,
+        emrTabId: emrTabPaired ? sessionState.emrTabId : null,
+        emrOrigin: emrTabPaired ? sessionState.emrOrigin : null
+      });
+    } catch (error) {
+      this.log.error('Failed to restore session state:', error);
+    }
+  }
+
+  /**
+   * Update state in memory and in session storage together, so both always agree on the paired tabs
+   */
+  async setState(changes) {
+    const sessionState = {};
+    for (const key of AutofillBackgroundService.STATE_KEYS) {
+      if (key in changes) this[key] = changes[key];
+      sessionState[key] = this[key];
+    }
+
+    await chrome.storage.session.set({ sessionState });
+    this.broadcastStatus();
+    this.updateContextMenu();
+  }
+
+  /**
+   * Everything the toolbar popup shows: the paired tabs, the inbox and the selected transcript with its sections
+   */
+  async getStatus() {
+    const [transcriptionTab, emrTab] = await Promise.all([
+      this.describeTab(this.transcriptionTabId),
+      this.describeTab(this.emrTabId)
+    ]);
+    const selected = this.getSelectedEntry();
+
+    return {
+      transcriptionTabId: this.transcriptionTabId,
+      emrTabId: this.emrTabId,
+      transcriptionTab: transcriptionTab,
+      emrTab: emrTab,
+      hasTranscript: !!selected,
+      pendingCount: this.inbox.filter(entry => entry.status === 'pending').length,
+      selectedTranscriptId: this.selectedTranscriptId,
+      entries: this.inbox.filter(entry => entry.status !== 'discarded').map(entry => this.summarizeEntry(entry)).reverse(),
+      transcript: selected ? {
+        ...this.summarizeEntry(selected),
+        preview: selected.text.substring(0, 400),
+        length: selected.text.length,
+        sections: ClinicalNoteParser.parse(selected.text).fields
+      } : null
+    };
+  }
+
+  async describeTab(tabId) {
+    if (tabId == null) return null;
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      return { id: tab.id, title: tab.title, url: tab.url };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async broadcastStatus() {
+    if (this.popupPorts.size === 0) return;
+    try {
+      const status = await this.getStatus();
+      for (const port of this.popupPorts) {
+        port.postMessage({ type: 'STATUS', status: status });
+      }
+    } catch (error) {
+      this.log.error('Failed to update the popup:', error);
+    }
+  }
+
+  getSelectedEntry() {
+    return this.inbox.find(entry => entry.id === this.selectedTranscriptId) || null;
+  }
+
+  /**
+   * The selected transcript if its dictation has finished; a draft is never filled, it may be the next patient's
+   */
+  getFillableEntry() {
+    const selected = this.getSelectedEntry();
+    return selected?.complete ? selected : null;
+  }
+
+  /**
+   * Add a transcript to the inbox, or update the one still being dictated in that tab.
+   * Only a finished transcript is selected; live updates leave the selection as it was.
+   */
+  async captureTranscript(text, tabId, complete) {
+    const fromTab = this.inbox.filter(entry => entry.sourceTabId === tabId && entry.status === 'pending');
+
+    // The same finished dictation reported again
+    const duplicate = fromTab.find(entry => entry.complete && entry.text === text);
+    if (duplicate) {
+      await this.setState({ selectedTranscriptId: duplicate.id, transcriptionTabId: tabId });
+      return duplicate;
+    }
+
+    const draft = fromTab.find(entry => !entry.complete);
+    const entry = {
+      id: draft ? draft.id : crypto.randomUUID(),
+      text: text,
+      capturedAt: Date.now(),
+      sourceTabId: tabId,
+      patient: this.detectPatient(text),
+      status: 'pending',
+      complete: complete
+    };
+
+    const inbox = draft
+      ? this.inbox.map(existing => existing.id === draft.id ? entry : existing)
+      : [...this.inbox, entry];
+
+    await this.setState({
+      inbox: this.pruneInbox(inbox),
+      selectedTranscriptId: complete ? entry.id : this.selectedTranscriptId,
+      transcriptionTabId: tabId
+    });
+    return entry;
+  }
+
+  async updateEntry(id, changes) {
+    await this.setState({
+      inbox: this.inbox.map(entry => entry.id === id ? { ...entry, ...changes } : entry)
+    });
+  }
+
+  /**
+   * Drop the oldest filled/discarded entries once the inbox is full; pending ones are kept
+   */
+  pruneInbox(inbox) {
+    let excess = inbox.length - AutofillBackgroundService.MAX_INBOX_ENTRIES;
+    if (excess <= 0) return inbox;
+
+    return inbox.filter(entry => {
+      if (excess > 0 && entry.status !== 'pending') {
+        excess--;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Patient name and DOB as dictated, for telling inbox entries apart
+   */
+  detectPatient(text) {
+    const { fields } = ClinicalNoteParser.parse(text);
+    return {
+      name: fields.name || null,
+      dob: fields.dob || null
+    };
+  }
+
+  summarizeEntry(entry) {
+    return {
+      id: entry.id,
+      capturedAt: entry.capturedAt,
+      patient: entry.patient,
+      status: entry.status,
+      complete: entry.complete,
+      preview: entry.text.substring(0, 120)
+    };
+  }
+
+  originOf(url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isPairedTab(tab) {
+    return !!tab && tab.id === this.emrTabId && this.originOf(tab.url) === this.emrOrigin;
+  }
+
+  /**
+   * The paired EMR tab's id, or null when there is none or it has left the origin it was paired on
+   */
+  async pairedEMRTabId() {
+    if (this.emrTabId == null) return null;
+    const tab = await chrome.tabs.get(this.emrTabId).catch(() => null);
+    return this.isPairedTab(tab) ? tab.id : null;
+  }
+
+  /**
+   * Mark a tab as the one transcripts are filled into
+   */
+  async pairEMRTab(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.url?.startsWith('http')) {
+      throw new Error('Only web pages can be paired as the EMR');
+    }
+    if (await TranscriptionSources.forUrl(tab.url)) {
+      throw new Error('This is a transcription tab');
+    }
+
+    await this.ensureContentScript(tab);
+    await this.setState({ emrTabId: tab.id, emrOrigin: this.originOf(tab.url) });
+    this.log.info('EMR tab paired');
+    return tab;
+  }
+
+  /**
+   * Make sure the autofill content script answers in the tab. The manifest only injects it on the built-in
+   * transcription sources, so other EMR sites get it from a granted host permission: injected now, and
+   * registered for the site's later page loads.
+   */
+  async ensureContentScript(tab) {
+    if (await this.pingTab(tab.id)) return;
+
+    const origin = this.originOf(tab.url);
+    const pattern = `${origin}/*`;
+    if (!await chrome.permissions.contains({ origins: [pattern] })) {
+      throw new Error(`The extension has no access to ${origin}. Pair the tab from the toolbar popup and allow access`);
+    }
+
+    await this.registerEMRContentScript(pattern);
+    const [staticScripts] = chrome.runtime.getManifest().content_scripts;
+    await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: true }, files: staticScripts.js });
+    if (!await this.pingTab(tab.id)) {
+      throw new Error('The extension could not start on this page. Reload it and pair again');
+    }
+  }
+
+  pingTab(tabId) {
+    return chrome.tabs.sendMessage(tabId, { type: 'CHECK_HAS_FORMS' }, { frameId: 0 }).then(() => true, () => false);
+  }
+
+  /**
+   * Inject the content script on the paired EMR site's page loads, in place of any earlier EMR site
+   */
+  async registerEMRContentScript(pattern) {
+    const SCRIPT_ID = 'emr-site';
+    const [staticScripts] = chrome.runtime.getManifest().content_scripts;
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [SCRIPT_ID] });
+    }
+    await chrome.scripting.registerContentScripts([{
+      id: SCRIPT_ID,
+      matches: [pattern],
+      js: staticScripts.js,
+      runAt: 'document_idle',
+      allFrames: true
+    }]);
+  }
+
+  async tabExists(tabId) {
+    if (tabId == null) return false;
+    try {
+      await chrome.tabs.get(tabId);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   init() {
     const messageHandler = (message, sender, sendResponse) => {
       this.handleMessage(message, sender, sendResponse);
       return true; 
     };
 
-    const tabRemovedHandler = (tabId) => {
-      if (tabId === this.transcriptionTabId) this.transcriptionTabId = null;
-      if (tabId === this.emrTabId) this.emrTabId = null;
+    const tabRemovedHandler = async (tabId) => {
+      await this.ready;
+
+      const changes = {};
+      if (tabId === this.transcriptionTabId) changes.transcriptionTabId = null;
+      if (tabId === this.emrTabId) Object.assign(changes, { emrTabId: null, emrOrigin: null });
+      if (this.pendingFills[tabId]) {
+        const { [tabId]: closed, ...pendingFills } = this.pendingFills;
+        changes.pendingFills = pendingFills;
+      }
+
+      if (Object.keys(changes).length > 0) {
+        this.setState(changes).catch(error => this.log.error('Failed to save session state:', error));
+      }
+    };
+
+    // A paired tab navigating or changing its title is shown in the popup
+    const tabUpdatedHandler = async (tabId, changeInfo) => {
+      await this.ready;
+
+      // Pairing follows the EMR tab within its origin; going elsewhere ends it
+      if (changeInfo.url && tabId === this.emrTabId && this.originOf(changeInfo.url) !== this.emrOrigin) {
+        await this.setState({ emrTabId: null, emrOrigin: null });
+        this.showNotification('EMR Tab Unpaired', 'The paired tab left the EMR site. Pair it again from the toolbar popup');
+        return;
+      }
+
+      if ((changeInfo.title || changeInfo.url) && (tabId === this.transcriptionTabId || tabId === this.emrTabId)) {
+        this.broadcastStatus();
+      }
+    };
+
+    const contextMenuHandler = (info, tab) => {
+      this.handleContextMenuClick(info, tab);
+    };
+
+    const commandHandler = (command, tab) => {
+      this.handleCommand(command, tab);
+    };
+
+    const connectHandler = (port) => {
+      if (port.name !== 'popup') return;
+      this.popupPorts.add(port);
+      port.onDisconnect.addListener(() => this.popupPorts.delete(port));
+      this.ready.then(() => this.broadcastStatus());
+    };
+
+    const storageChangedHandler = (changes, areaName) => {
+      if (areaName === 'local' && changes.settings) {
+        this.updateContextMenu();
+        this.syncSourceContentScripts().catch(error => this.log.error('Failed to register content scripts:', error));
+      }
+    };
+
+    const permissionsAddedHandler = () => {
+      this.syncSourceContentScripts().catch(error => this.log.error('Failed to register content scripts:', error));
     };
 
     chrome.runtime.onMessage.addListener(messageHandler);
     chrome.tabs.onRemoved.addListener(tabRemovedHandler);
-    chrome.action.onClicked.addListener(this.handleIconClick.bind(this));
+    chrome.tabs.onUpdated.addListener(tabUpdatedHandler);
+    chrome.runtime.onConnect.addListener(connectHandler);
+    chrome.commands.onCommand.addListener(commandHandler);
+    chrome.contextMenus.onClicked.addListener(contextMenuHandler);
+    chrome.storage.onChanged.addListener(storageChangedHandler);
+    chrome.permissions.onAdded.addListener(permissionsAddedHandler);
+
+    this.syncSourceContentScripts().catch(error => this.log.error('Failed to register content scripts:', error));
+    this.ready.then(() => this.updateContextMenu());
 
     this.cleanup = () => {
       chrome.runtime.onMessage.removeListener(messageHandler);
       chrome.tabs.onRemoved.removeListener(tabRemovedHandler);
-      chrome.action.onClicked.removeListener(this.handleIconClick);
+      chrome.tabs.onUpdated.removeListener(tabUpdatedHandler);
+      chrome.runtime.onConnect.removeListener(connectHandler);
+      chrome.commands.onCommand.removeListener(commandHandler);
+      chrome.contextMenus.onClicked.removeListener(contextMenuHandler);
+      chrome.storage.onChanged.removeListener(storageChangedHandler);
+      chrome.permissions.onAdded.removeListener(permissionsAddedHandler);
     };
   }
 
+  /**
+   * Inject the content script into transcription sources added on the options page.
+   * The manifest only covers the built-in sources; others need a granted host permission.
+   */
+  async syncSourceContentScripts() {
+    const SCRIPT_ID = 'transcription-sources';
+    const [staticScripts] = chrome.runtime.getManifest().content_scripts;
+    const staticOrigins = staticScripts.matches.map(match => new URL(match.replace('/*', '/')).origin);
+
+    const sources = await TranscriptionSources.getAll();
+    const matches = [];
+    for (const source of sources) {
+      if (!source.origin || staticOrigins.includes(source.origin)) continue;
+
+      const pattern = `${source.origin}/*`;
+      if (await chrome.permissions.contains({ origins: [pattern] })) {
+        matches.push(pattern);
+      }
+    }
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [SCRIPT_ID] });
+    }
+
+    if (matches.length > 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: SCRIPT_ID,
+        matches: matches,
+        js: staticScripts.js,
+        runAt: 'document_idle',
+        allFrames: true
+      }]);
+    }
+  }
+
   
   async handleMessage(message, sender, sendResponse) {
     const respond = (data) => {
       if (chrome.runtime.lastError) {
-        console.error('Runtime error:', chrome.runtime.lastError);
+        this.log.error('Runtime error:', chrome.runtime.lastError);
         return sendResponse({ success: false, error: chrome.runtime.lastError.message });
       }
       sendResponse(data);
     };
 
     try {
+      await this.ready;
+
       switch (message.type) {
         case 'TRANSCRIPT_READY':
           await this.handleTranscriptReady(message.data, sender.tab.id);
           return respond({ success: true });
 
         case 'TRANSCRIPT_DETECTED':
-          this.latestTranscript = message.data;
-          this.transcriptionTabId = sender.tab.id;
+          await this.captureTranscript(message.data, sender.tab.id, false);
           return respond({ success: true });
 
         case 'REQUEST_TRANSCRIPT':
-          return respond({ transcript: this.latestTranscript });
+          if (!this.isPairedTab(sender.tab)) return respond({ transcript: null });
+          return respond({ transcript: this.getFillableEntry()?.text || null });
+
+        case 'IDENTIFY_AS_EMR': {
+          // A page with forms loaded; only the paired tab is sent the waiting transcript, once per page load
+          if (sender.frameId !== 0 || !this.isPairedTab(sender.tab)) return respond({ paired: false });
+          const selected = this.getFillableEntry();
+          if (selected?.status === 'pending' && selected.text.length > 10) {
+            this.transferToEMR(this.emrTabId, selected).catch(error => this.log.error('Transfer to EMR failed:', error));
+          }
+          return respond({ paired: true });
+        }
+
+        case 'LIST_FRAMES': {
+          // Child frames of the sender's tab, for the top frame to gather fields from cross-origin frames
+          const frames = await chrome.webNavigation.getAllFrames({ tabId: sender.tab.id });
+          return respond({ frameIds: (frames || []).map(frame => frame.frameId).filter(frameId => frameId !== 0) });
+        }
 
-        case 'IDENTIFY_AS_EMR':
-          this.emrTabId = sender.tab.id;
-          if (this.latestTranscript?.length > 10) {
-            this.transferToEMR(this.emrTabId).catch(console.error);
+        case 'SEND_TO_FRAME': {
+          const response = await chrome.tabs.sendMessage(sender.tab.id, message.message, { frameId: message.frameId });
+          return respond(response);
+        }
+
+        case 'SET_PENDING_FILLS': {
+          const pendingFills = { ...this.pendingFills };
+          if (message.pending) {
+            pendingFills[sender.tab.id] = { ...message.pending, origin: new URL(sender.url).origin };
+          } else {
+            delete pendingFills[sender.tab.id];
           }
+          await this.setState({ pendingFills: pendingFills });
+          return respond({ success: true });
+        }
+
+        case 'GET_PENDING_FILLS': {
+          // Pending values never follow the tab to another site
+          const pending = this.pendingFills[sender.tab.id];
+          return respond({ pending: pending?.origin === new URL(sender.url).origin ? pending : null });
+        }
+
+        case 'RECORD_AUDIT':
+          await AutofillAuditLog.record(message.run);
           return respond({ success: true });
 
         case 'GET_TAB_INFO':
+          return respond(await this.getStatus());
+
+        // Toolbar popup controls
+        case 'CAPTURE_TRANSCRIPT': {
+          const entry = await this.captureFromTab(await this.captureTarget());
+          const pendingCount = this.inbox.filter(pending => pending.status === 'pending').length;
           return respond({
-            transcriptionTabId: this.transcriptionTabId,
-            emrTabId: this.emrTabId,
-            hasTranscript: !!this.latestTranscript
+            success: true,
+            id: entry.id,
+            message: pendingCount > 1 ? `Transcript captured, ${pendingCount} pending` : 'Transcript captured'
           });
+        }
+
+        case 'FILL_EMR': {
+          const tabId = await this.fillTarget();
+          const hasCandidates = this.inbox.some(candidate => candidate.complete && candidate.status !== 'discarded');
+          const entry = this.getFillableEntry() || (hasCandidates ? await this.chooseTranscript(tabId) : null);
+          if (!entry) {
+            return respond({ success: false, error: this.getSelectedEntry() ? 'The selected transcript is still being dictated' : 'Capture a transcript first' });
+          }
+          await this.setState({ selectedTranscriptId: entry.id });
+          // Not awaited: the clinician may spend a while in the review panel, and focusing the tab closes the popup
+          this.transferToEMR(tabId, entry, { preview: !!message.preview })
+            .catch(error => this.log.error('Transfer to EMR failed:', error));
+          return respond({ success: true, message: message.preview ? 'Opening the preview' : 'Filling the EMR form' });
+        }
+
+        case 'UNDO_LAST_FILL':
+          return respond(await this.undoLastFill()
+            ? { success: true, message: 'Autofill undone' }
+            : { success: false, error: 'Nothing to undo' });
+
+        case 'CLEAR_TRANSCRIPTS':
+          await this.setState({ inbox: [], selectedTranscriptId: null });
+          return respond({ success: true, message: 'Transcripts cleared' });
+
+        case 'PAIR_EMR_TAB': {
+          const tab = await this.pairEMRTab(message.tabId ?? (await this.activeTab())?.id);
+          return respond({ success: true, message: `Paired ${tab.title || this.originOf(tab.url)}` });
+        }
+
+        case 'REPAIR_TABS': {
+          // The only tab with a form is paired straight away; with several the popup shows a chooser
+          const candidates = await this.pairTabs();
+          if (candidates.length === 1) {
+            const tab = await this.pairEMRTab(candidates[0].id);
+            return respond({ success: true, message: `Paired ${tab.title || this.originOf(tab.url)}` });
+          }
+          return respond({
+            success: true,
+            candidates: candidates.map(tab => ({ id: tab.id, title: tab.title, url: tab.url })),
+            message: candidates.length ? 'Choose the EMR tab' : 'No open tab with a form was found'
+          });
+        }
+
+        case 'GET_INBOX':
+          return respond({
+            entries: this.inbox.map(entry => this.summarizeEntry(entry)),
+            selectedTranscriptId: this.selectedTranscriptId
+          });
+
+        case 'SELECT_TRANSCRIPT':
+          if (!this.inbox.some(entry => entry.id === message.id)) {
+            return respond({ success: false, error: 'Transcript not found' });
+          }
+          await this.setState({ selectedTranscriptId: message.id });
+          return respond({ success: true });
+
+        case 'DISCARD_TRANSCRIPT':
+          await this.updateEntry(message.id, { status: 'discarded' });
+          if (this.selectedTranscriptId === message.id) {
+            const nextPending = [...this.inbox].reverse().find(entry => entry.status === 'pending');
+            await this.setState({ selectedTranscriptId: nextPending ? nextPending.id : null });
+          }
+          return respond({ success: true });
 
         default:
           return respond({ error: 'Unknown message type' });
       }
     } catch (error) {
-      console.error('Error handling message:', error);
+      this.log.error('Error handling message:', error);
       return respond({ success: false, error: error.message });
     }
   }
 
   
   async handleTranscriptReady(transcript, tabId) {
-    this.latestTranscript = transcript;
-    this.transcriptionTabId = tabId;
+    const entry = await this.captureTranscript(transcript, tabId, true);
 
-    if (this.emrTabId) {
-      try {
-        await this.transferToEMR(this.emrTabId);
-        return;
-      } catch (error) {
-        this.emrTabId = null;
-      }
+    const emrTabId = await this.pairedEMRTabId();
+    if (emrTabId) {
+      await this.transferToEMR(emrTabId, entry);
+      return;
     }
 
-    const emrTab = await this.findEMRTab();
-    if (emrTab) {
-      this.emrTabId = emrTab.id;
-      await this.transferToEMR(emrTab.id);
-    }
+    this.showNotification(
+      'Transcript Captured',
+      'No EMR tab is paired. Open the toolbar popup on your EMR tab and pair it to fill the form'
+    );
   }
 
   /**
-   * Find EMR tab (tab with forms)
+   * Tabs that could be paired as the EMR: web pages with forms, other than transcription sources.
+   * They are only asked whether they have forms; nothing is sent to them until one is paired.
    */
-  async findEMRTab() {
-    const tabs = await chrome.tabs.query({});
-    
-    for (const tab of tabs) {
-      if (tab.id === this.transcriptionTabId || !tab.url.startsWith('http')) {
-        continue;
-      }
-      
+  async findEMRCandidates() {
+    const candidates = [];
+    for (const tab of await chrome.tabs.query({})) {
+      if (tab.id === this.transcriptionTabId || !tab.url?.startsWith('http')) continue;
+      if (await TranscriptionSources.forUrl(tab.url)) continue;
+
       try {
-        const response = await chrome.tabs.sendMessage(tab.id, {
-          type: 'CHECK_HAS_FORMS'
-        });
-        
-        if (response?.hasForms) {
-          return tab;
-        }
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'CHECK_HAS_FORMS' });
+        if (response?.hasForms) candidates.push(tab);
       } catch (error) {
         continue;
       }
     }
-    
-    return null;
+    return candidates;
   }
 
-  async transferToEMR(emrTabId) {
+  /**
+   * Send a transcript to the EMR tab and bring the tab forward
+   * @param {Object} options - preview: always show the review panel, whatever the review setting
+   */
+  async transferToEMR(emrTabId, entry, options = {}) {
     const MESSAGE_TIMEOUT = 5000;
     
     try {
-      // Send transcript with timeout
-      await Promise.race([
-        chrome.tabs.sendMessage(emrTabId, {
-          type: 'AUTOFILL_TRANSCRIPT',
-          data: this.latestTranscript
-        }),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Message timeout')), MESSAGE_TIMEOUT)
-        )
-      ]).catch(error => {
-        console.warn('Autofill message warning:', error.message);
+      // The clinician may still be reviewing when the timeout passes, so status is updated on the real reply
+      const autofill = chrome.tabs.sendMessage(emrTabId, {
+        type: 'AUTOFILL_TRANSCRIPT',
+        data: entry.text,
+        preview: !!options.preview
+      }).then(response => {
+        if (response?.filled) {
+          return this.updateEntry(entry.id, { status: 'filled' });
+        }
       });
+      // A failure after the timeout, e.g. the tab closed during review, is only logged
+      autofill.catch(error => this.log.warn(`Autofill did not finish: ${error.message}`));
+
+      // Still running after the timeout is fine; a send that failed (no content script in the tab) is not
+      await Promise.race([
+        autofill,
+        new Promise(resolve => setTimeout(resolve, MESSAGE_TIMEOUT))
+      ]);
       
       // Switch to EMR tab
       const emrTab = await chrome.tabs.get(emrTabId).catch(() => {
@@ -152,69 +664,328 @@ class AutofillBackgroundService {
       ]);
       
     } catch (error) {
-      console.error('Transfer to EMR failed:', error);
+      this.log.error('Transfer to EMR failed:', error);
       this.showNotification(
         'Transfer Failed',
-        'Could not auto-fill the form. Please try manually.'
+        this.fillFailureMessage(error, 'Could not auto-fill the form. Please try manually.')
       );
       throw error; 
     }
   }
 
 
-  async handleIconClick(tab) {
-    if (tab.url.includes(this.transcriptionAppUrl)) {
-      try {
-        const response = await chrome.tabs.sendMessage(tab.id, {
-          type: 'EXTRACT_TRANSCRIPT'
-        });
-        
-        if (response?.transcript) {
-          this.latestTranscript = response.transcript;
-          this.transcriptionTabId = tab.id;
-          
-          this.showNotification(
-            'Transcript Captured',
-            'Now switch to your EMR tab and click the icon again'
-          );
-        }
-      } catch (error) {
-        console.error('Error extracting transcript:', error);
+  /**
+   * What to tell the clinician when a fill couldn't reach the EMR tab
+   */
+  fillFailureMessage(error, fallback) {
+    return /Receiving end does not exist/.test(error.message)
+      ? 'The extension is not running in the EMR tab. Reload the tab, or pair it again from the toolbar popup'
+      : fallback;
+  }
+
+  async activeTab() {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    return tab || null;
+  }
+
+  /**
+   * The tab to capture from: the active tab if it is a transcription source, otherwise the paired one
+   */
+  async captureTarget() {
+    const active = await this.activeTab();
+    if (active && await TranscriptionSources.forUrl(active.url)) return active;
+
+    if (await this.tabExists(this.transcriptionTabId)) {
+      return chrome.tabs.get(this.transcriptionTabId);
+    }
+    throw new Error('Open your transcription app first');
+  }
+
+  async captureFromTab(tab) {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_TRANSCRIPT' });
+    if (!response?.transcript) {
+      throw new Error('No transcript on the transcription page yet');
+    }
+    return this.captureTranscript(response.transcript, tab.id, true);
+  }
+
+  /**
+   * The tab to fill: only ever the paired EMR tab
+   */
+  async fillTarget() {
+    const tabId = await this.pairedEMRTabId();
+    if (!tabId) {
+      throw new Error('No EMR tab paired. Pair your EMR tab from the toolbar popup first');
+    }
+    return tabId;
+  }
+
+  updateContextMenu() {
+    this.menuUpdates = this.menuUpdates
+      .then(() => this.rebuildContextMenu())
+      .catch(error => this.log.error('Failed to update the context menu:', error));
+    return this.menuUpdates;
+  }
+
+  /**
+   * "Fill this field with…" on editable fields of the paired EMR site: one item per section of the selected
+   * transcript, the whole transcript, and whether to remember the choice for the site.
+   * Items show section names only; the menu is built ahead of time and could otherwise show patient data anywhere.
+   */
+  async rebuildContextMenu() {
+    const { CONTEXT_MENU_ID, WHOLE_TRANSCRIPT } = AutofillBackgroundService;
+    const selected = this.getFillableEntry();
+    const dataKeys = selected ? Object.keys(ClinicalNoteParser.parse(selected.text).fields) : [];
+    const { rememberContextFills } = await AutofillSettings.get();
+
+    const signature = JSON.stringify([this.emrOrigin, selected?.id, dataKeys, rememberContextFills]);
+    if (signature === this.menuSignature) return;
+    this.menuSignature = signature;
+
+    await chrome.contextMenus.removeAll();
+    if (!this.emrOrigin) return;
+
+    // Match patterns take no port, so this covers the EMR host on any port
+    const { protocol, hostname } = new URL(this.emrOrigin);
+    const create = (properties) => chrome.contextMenus.create({
+      contexts: ['editable'],
+      documentUrlPatterns: [`${protocol}//${hostname}/*`],
+      ...properties
+    }, () => {
+      if (chrome.runtime.lastError) this.log.warn(`Context menu item failed: ${chrome.runtime.lastError.message}`);
+    });
+
+    create({ id: CONTEXT_MENU_ID, title: selected ? 'Fill this field with…' : 'Fill this field with… (no transcript captured)', enabled: !!selected });
+    if (!selected) return;
+
+    for (const dataKey of dataKeys) {
+      create({ id: `${CONTEXT_MENU_ID}:${dataKey}`, parentId: CONTEXT_MENU_ID, title: this.sectionLabel(dataKey) });
+    }
+    create({ id: `${CONTEXT_MENU_ID}-separator`, parentId: CONTEXT_MENU_ID, type: 'separator' });
+    create({ id: `${CONTEXT_MENU_ID}:${WHOLE_TRANSCRIPT}`, parentId: CONTEXT_MENU_ID, title: 'Whole transcript' });
+    create({ id: `${CONTEXT_MENU_ID}-remember-separator`, parentId: CONTEXT_MENU_ID, type: 'separator' });
+    create({
+      id: `${CONTEXT_MENU_ID}-remember`,
+      parentId: CONTEXT_MENU_ID,
+      type: 'checkbox',
+      checked: rememberContextFills,
+      title: 'Remember the section for this field on this site'
+    });
+  }
+
+  /**
+   * A section's heading for menus, e.g. "Chief complaint" for chiefComplaint and "Date of birth" for dob
+   */
+  sectionLabel(dataKey) {
+    const words = dataKey.replace(/([A-Z])/g, ' $1').toLowerCase();
+    const aliases = ClinicalNoteParser.SECTIONS[dataKey] || [];
+    const heading = words.length > 3 && aliases.includes(words) ? words : aliases[0] || words;
+    return heading.charAt(0).toUpperCase() + heading.slice(1);
+  }
+
+  async handleContextMenuClick(info, tab) {
+    await this.ready;
+    const { CONTEXT_MENU_ID, WHOLE_TRANSCRIPT } = AutofillBackgroundService;
+
+    if (info.menuItemId === `${CONTEXT_MENU_ID}-remember`) {
+      await AutofillSettings.update({ rememberContextFills: info.checked });
+      return;
+    }
+
+    const prefix = `${CONTEXT_MENU_ID}:`;
+    const selected = this.getFillableEntry();
+    if (!String(info.menuItemId).startsWith(prefix) || !selected || !tab) return;
+
+    if (!this.isPairedTab(tab)) {
+      this.showNotification('Tab Not Paired', 'Pair this tab as your EMR from the toolbar popup before filling it');
+      return;
+    }
+
+    const dataKey = info.menuItemId.substring(prefix.length);
+    const value = dataKey === WHOLE_TRANSCRIPT ? selected.text : ClinicalNoteParser.parse(selected.text).fields[dataKey];
+    if (value === undefined) return;
+
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'FILL_CONTEXT_FIELD',
+        dataKey: dataKey,
+        value: String(value),
+        transcript: selected.text
+      }, { frameId: info.frameId || 0 });
+      if (!response?.filled) return;
+
+      const { rememberContextFills } = await AutofillSettings.get();
+      if (!rememberContextFills || dataKey === WHOLE_TRANSCRIPT) return;
+      if (!response.selector) {
+        this.showNotification('Mapping Not Saved', 'This field has no id or name to remember it by');
+        return;
       }
+
+      // Bindings belong to the page's profile, even for a field inside one of its frames
+      const profile = await FieldMappingProfiles.addBinding(new URL(info.pageUrl || tab.url), { dataKey: dataKey, selector: response.selector });
+      this.showNotification('Mapping Saved', `${this.sectionLabel(dataKey)} will fill ${response.selector} on ${profile.name || profile.origin}`);
+    } catch (error) {
+      this.log.error('Error filling from the context menu:', error);
+      this.showNotification('Fill Failed', 'Could not fill this field. Try reloading the page.');
+    }
+  }
+
+  /**
+   * Roll back the last run in the paired EMR tab; resolves false if there was nothing to undo
+   */
+  async undoLastFill() {
+    const tabId = await this.pairedEMRTabId();
+    if (!tabId) {
+      throw new Error('No EMR tab paired');
+    }
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'UNDO_AUTOFILL' });
+    return !!response?.undone;
+  }
+
+  /**
+   * Keyboard shortcuts declared under "commands" in the manifest, reporting back through notifications
+   */
+  async handleCommand(command, tab) {
+    await this.ready;
+
+    try {
+      switch (command) {
+        case 'capture-transcript':
+          return await this.captureCommand();
+        case 'fill-emr':
+          return await this.fillCommand(tab);
+        case 'undo-fill':
+          return await this.undoCommand();
+        case 'next-transcript':
+          return await this.nextTranscriptCommand();
+      }
+    } catch (error) {
+      this.log.error(`Shortcut ${command} failed:`, error);
+      this.showNotification('Shortcut Failed', error.message);
+    }
+  }
+
+  async captureCommand() {
+    await this.captureFromTab(await this.captureTarget());
+    const pendingCount = this.inbox.filter(entry => entry.status === 'pending').length;
+
+    this.showNotification(
+      'Transcript Captured',
+      pendingCount > 1
+        ? `${pendingCount} transcripts pending. Switch to your EMR tab and fill the selected one`
+        : 'Now switch to your EMR tab and fill it'
+    );
+  }
+
+  /**
+   * Fill the paired EMR tab, bringing it forward if another tab is active
+   */
+  async fillCommand(tab) {
+    const tabId = await this.fillTarget();
+    if (tab?.id !== tabId) {
+      await chrome.tabs.update(tabId, { active: true });
+    }
+
+    if (!this.inbox.some(entry => entry.complete && entry.status !== 'discarded')) {
+      this.showNotification(
+        'No Transcript',
+        'Please capture a finished transcript first from your transcription app'
+      );
       return;
     }
-    
-    if (this.latestTranscript) {
-      try {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: 'AUTOFILL_TRANSCRIPT',
-          data: this.latestTranscript
-        });
-        
+
+    try {
+      const entry = this.getFillableEntry() || await this.chooseTranscript(tabId);
+      if (!entry) return;
+
+      await this.setState({ selectedTranscriptId: entry.id });
+      const response = await chrome.tabs.sendMessage(tabId, {
+        type: 'AUTOFILL_TRANSCRIPT',
+        data: entry.text
+      });
+
+      if (response?.filled) {
+        await this.updateEntry(entry.id, { status: 'filled' });
         this.showNotification(
           'Auto-fill Complete',
           'Form has been filled. Please review before submitting.'
         );
-      } catch (error) {
-        console.error('Error autofilling:', error);
-        this.showNotification(
-          'Auto-fill Failed',
-          'Could not auto-fill. Make sure the page has form fields.'
-        );
       }
-    } else {
+    } catch (error) {
+      this.log.error('Error autofilling:', error);
       this.showNotification(
-        'No Transcript',
-        'Please capture a transcript first from your transcription app'
+        'Auto-fill Failed',
+        this.fillFailureMessage(error, 'Could not auto-fill. Make sure the page has form fields.')
       );
     }
   }
 
+  async undoCommand() {
+    if (await this.undoLastFill()) {
+      this.showNotification('Autofill Undone', 'The fields are back to their previous values');
+    } else {
+      this.showNotification('Nothing to Undo', 'There is no autofill run to undo in the EMR tab');
+    }
+  }
+
+  /**
+   * Select the pending transcript after the current one, wrapping round
+   */
+  async nextTranscriptCommand() {
+    const pending = this.inbox.filter(entry => entry.complete && entry.status === 'pending');
+    if (pending.length === 0) {
+      this.showNotification('No Transcript', 'There are no pending transcripts to choose from');
+      return;
+    }
+
+    const index = (pending.findIndex(entry => entry.id === this.selectedTranscriptId) + 1) % pending.length;
+    const next = pending[index];
+    await this.setState({ selectedTranscriptId: next.id });
+
+    // No patient name: notifications stay in the notification centre and show on the lock screen
+    const time = new Date(next.capturedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    this.showNotification('Transcript Selected', `${index + 1} of ${pending.length}, captured ${time}`);
+  }
+
+  /**
+   * Look for the transcription tab again, and resolve with the tabs that could be paired as the EMR.
+   * The current EMR pairing stays until the user picks another.
+   */
+  async pairTabs() {
+    let transcriptionTabId = null;
+    for (const tab of await chrome.tabs.query({})) {
+      if (tab.url && await TranscriptionSources.forUrl(tab.url)) {
+        transcriptionTabId = tab.id;
+        if (tab.active) break;
+      }
+    }
+
+    await this.setState({ transcriptionTabId: transcriptionTabId });
+    return this.findEMRCandidates();
+  }
+
+  /**
+   * Pick the transcript to send: the only pending one, or whichever the user chooses in the EMR tab.
+   * Drafts still being dictated are not offered.
+   */
+  async chooseTranscript(tabId) {
+    const candidates = this.inbox.filter(entry => entry.complete && entry.status !== 'discarded');
+    const pending = candidates.filter(entry => entry.status === 'pending');
+
+    if (pending.length === 1) {
+      return pending[0];
+    }
+
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: 'CHOOSE_TRANSCRIPT',
+      data: candidates.map(entry => this.summarizeEntry(entry)).reverse()
+    });
+    return this.inbox.find(entry => entry.id === response?.id) || null;
+  }
 
-  
   showNotification(title, message) {
     if (!chrome.notifications) {
-      console.warn('Notifications not available:', { title, message });
+      this.log.warn('Notifications not available:', { title, message });
       return;
     }
     
@@ -226,7 +997,7 @@ class AutofillBackgroundService {
       priority: 1
     }, (notificationId) => {
       if (chrome.runtime.lastError) {
-        console.error('Notification error:', chrome.runtime.lastError);
+        this.log.error('Notification error:', chrome.runtime.lastError);
       }
     });
   }
@@ -239,4 +1010,4 @@ class AutofillBackgroundService {
 
 
 const service = new AutofillBackgroundService();
-console.log('[Background Service]  Ready for cross-tab autofill');
+service.log.info('Ready for cross-tab autofill');
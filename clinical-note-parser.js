@@ -0,0 +1,175 @@
+/**
+ * Clinical Note Parser
+ * Splits a transcript into sections on known headings, shared by the paste and cross-tab flows.
+ * Dictation without headings goes through NarrativeExtractor (narrative-extractor.js).
+ *
+ * Returns { raw, fields, sections } where sections[key] = { heading, headingStart, start, end }
+ * gives the character offsets of each section's value within raw.
+ */
+
+class ClinicalNoteParser {
+  // Heading aliases per dataKey; longer aliases win where they overlap
+  static SECTIONS = {
+    // Patient info
+    name: ['patient name', 'pt name', 'full name', 'name', 'patient'],
+    age: ['age'],
+    dob: ['date of birth', 'birth date', 'dob'],
+    gender: ['gender', 'sex'],
+
+    // Vitals
+    bloodPressure: ['blood pressure', 'bp'],
+    systolic: ['systolic blood pressure', 'systolic bp', 'systolic', 'sbp'],
+    diastolic: ['diastolic blood pressure', 'diastolic bp', 'diastolic', 'dbp'],
+    heartRate: ['heart rate', 'pulse rate', 'pulse', 'hr'],
+    temperature: ['temperature', 'temp'],
+    weight: ['weight', 'wt'],
+    height: ['height', 'ht'],
+
+    // Clinical
+    chiefComplaint: ['chief complaint', 'presenting complaint', 'reason for visit', 'complaint', 'cc'],
+    symptoms: ['presenting symptoms', 'symptoms'],
+    diagnosis: ['primary diagnosis', 'diagnosis', 'dx'],
+    allergies: ['drug allergies', 'allergies', 'allergy'],
+    medications: ['current medications', 'medications', 'medication', 'meds'],
+
+    // History
+    medicalHistory: ['past medical history', 'medical history', 'pmh'],
+    surgicalHistory: ['past surgical history', 'surgical history', 'psh'],
+    familyHistory: ['family history', 'fh'],
+    socialHistory: ['social history', 'sh'],
+
+    // Assessment & Plan
+    assessment: ['assessment'],
+    plan: ['treatment plan', 'plan'],
+    notes: ['additional notes', 'notes', 'comments']
+  };
+
+  // Short fields keep only the part of the section that looks like a value (with its unit, if stated)
+  static VALUE_PATTERNS = {
+    age: /\d+/,
+    gender: /\b(?:male|female|other|m|f)\b/i,
+    bloodPressure: /\d+\s*\/\s*\d+/,
+    systolic: /\d+/,
+    diastolic: /\d+/,
+    heartRate: /\d+/,
+    temperature: /\d+(?:\.\d+)?(?:\s*(?:°|degrees?)?\s*(?:celsius|centigrade|fahrenheit|[CF])\b)?/i,
+    weight: /\d+(?:\.\d+)?(?:\s*(?:kg|kgs|kilos?|kilograms?|lbs?|pounds?)\b)?/i
+  };
+
+  // Too common in running speech to be treated as a heading without a colon
+  static COLON_ONLY_ALIASES = ['patient', 'name', 'temp', 'complaint', 'plan', 'notes', 'comments'];
+
+  // Without a colon these only count when written in capitals
+  static ABBREVIATIONS = ['bp', 'sbp', 'dbp', 'hr', 'wt', 'ht', 'cc', 'dx', 'pmh', 'psh', 'fh', 'sh'];
+
+  /**
+   * Parse a transcript into { raw, fields, sections }
+   */
+  static parse(text) {
+    const parsed = { raw: text, fields: {}, sections: {} };
+
+    // "Heading: value" text; free dictation is read as narrative, with bare keywords filling the gaps
+    let headings = ClinicalNoteParser.findHeadings(text, true);
+    let narrativeStarts = [];
+    if (headings.length < 2) {
+      const narrative = NarrativeExtractor.extract(text);
+      Object.assign(parsed.fields, narrative.fields);
+      Object.assign(parsed.sections, narrative.sections);
+      narrativeStarts = Object.values(narrative.sections).map(section => section.headingStart);
+      headings = ClinicalNoteParser.findHeadings(text, false);
+    }
+
+    headings.forEach((heading, index) => {
+      if (parsed.sections[heading.key]) return;
+
+      const sectionEnd = Math.min(
+        index + 1 < headings.length ? headings[index + 1].start : text.length,
+        ...narrativeStarts.filter(start => start >= heading.end)
+      );
+      const section = ClinicalNoteParser.extractValue(heading.key, text, heading.end, sectionEnd);
+      if (!section) return;
+
+      parsed.fields[heading.key] = section.value;
+      parsed.sections[heading.key] = {
+        heading: heading.text,
+        headingStart: heading.start,
+        start: section.start,
+        end: section.end
+      };
+    });
+
+    return parsed;
+  }
+
+  /**
+   * Heading occurrences in text order; with requireColon false, only the first occurrence of each key counts
+   */
+  static findHeadings(text, requireColon) {
+    const aliases = [];
+    for (const [key, keyAliases] of Object.entries(ClinicalNoteParser.SECTIONS)) {
+      for (const alias of keyAliases) {
+        if (!requireColon && ClinicalNoteParser.COLON_ONLY_ALIASES.includes(alias)) continue;
+        aliases.push({ key, alias });
+      }
+    }
+    aliases.sort((a, b) => b.alias.length - a.alias.length);
+
+    const alternation = aliases
+      .map(({ alias }) => alias.replace(/\s+/g, '\\s+'))
+      .join('|');
+    const pattern = requireColon
+      ? new RegExp(`(?<![\\w'])(${alternation})[ \\t]*:`, 'gi')
+      : new RegExp(`(?<![\\w'])(${alternation})(?![\\w'])`, 'gi');
+
+    const headings = [];
+    const seenKeys = new Set();
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const matchedAlias = match[1].toLowerCase().replace(/\s+/g, ' ');
+      const { key } = aliases.find(({ alias }) => alias === matchedAlias);
+
+      // Bare abbreviations like BP, HR or CC only count when written in capitals
+      if (!requireColon && ClinicalNoteParser.ABBREVIATIONS.includes(matchedAlias) && match[1] !== match[1].toUpperCase()) continue;
+      if (!requireColon && seenKeys.has(key)) continue;
+
+      seenKeys.add(key);
+      headings.push({
+        key,
+        text: match[1],
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+
+    return headings;
+  }
+
+  /**
+   * Trimmed value between a heading and the next one, with its offsets in the text
+   */
+  static extractValue(key, text, from, to) {
+    const body = text.substring(from, to);
+    const valuePattern = ClinicalNoteParser.VALUE_PATTERNS[key];
+
+    if (valuePattern) {
+      const match = body.match(valuePattern);
+      if (!match) return null;
+      const start = from + match.index;
+      return { value: match[0], start, end: start + match[0].length };
+    }
+
+    // Drop separators and the punctuation that ends one section before the next heading
+    const leading = body.match(/^[\s:\-–—]*/)[0].length;
+    let trimmed = body.substring(leading).replace(/[\s,;\-–—]+$/, '');
+
+    // A one-sentence value doesn't keep its full stop; multi-sentence sections stay intact
+    if (/^[^.!?]*\.$/.test(trimmed)) {
+      trimmed = trimmed.slice(0, -1);
+    }
+    if (!trimmed) return null;
+
+    const start = from + leading;
+    return { value: trimmed, start, end: start + trimmed.length };
+  }
+}
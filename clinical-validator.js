@@ -0,0 +1,129 @@
+/**
+ * Clinical Validator
+ * Checks parsed vitals and demographics against physiological ranges (adult and paediatric) before filling.
+ * Values that fail are withheld with a warning naming the field and the reason.
+ */
+
+class ClinicalValidator {
+  // Plausible (not normal) ranges; paediatric applies under 18
+  static RANGES = {
+    age: { label: 'Age', unit: 'years', adult: [0, 120], paediatric: [0, 120] },
+    heartRate: { label: 'Heart rate', unit: 'bpm', adult: [30, 220], paediatric: [50, 230] },
+    systolic: { label: 'Systolic pressure', unit: 'mmHg', adult: [60, 260], paediatric: [50, 200] },
+    diastolic: { label: 'Diastolic pressure', unit: 'mmHg', adult: [30, 160], paediatric: [20, 130] },
+    temperature: { label: 'Temperature', unit: '°C', adult: [30, 45], paediatric: [30, 45] },
+    weight: { label: 'Weight', unit: 'kg', adult: [25, 350], paediatric: [0.3, 150] },
+    height: { label: 'Height', unit: 'cm', adult: [120, 250], paediatric: [30, 200] }
+  };
+
+  /**
+   * Warnings keyed by dataKey for the values that shouldn't be filled without a second look
+   * @param {Object} data - parsed fields, expanded with composite parts (see CompositeVitals.expand)
+   */
+  static validate(data) {
+    const warnings = {};
+    const age = ClinicalValidator.effectiveAge(data);
+    const group = age !== null && age < 18 ? 'paediatric' : 'adult';
+
+    const check = (key, amount, shown = amount) => {
+      const range = ClinicalValidator.RANGES[key];
+      if (isNaN(amount)) {
+        return `${range.label} "${shown}" is not a number`;
+      }
+      const [min, max] = range[group];
+      if (amount < min || amount > max) {
+        return `${range.label} ${shown} is outside the plausible ${group} range (${min}–${max} ${range.unit})`;
+      }
+      return null;
+    };
+
+    if (data.age) {
+      warnings.age = check('age', parseFloat(data.age));
+    }
+    if (data.heartRate) {
+      warnings.heartRate = check('heartRate', parseFloat(data.heartRate));
+    }
+
+    if (data.systolic && data.diastolic) {
+      const systolic = parseFloat(data.systolic);
+      const diastolic = parseFloat(data.diastolic);
+      const reason = check('systolic', systolic) || check('diastolic', diastolic) ||
+        (systolic <= diastolic ? `Blood pressure ${systolic}/${diastolic} has a systolic no higher than the diastolic` : null);
+      ['bloodPressure', 'systolic', 'diastolic'].forEach(key => { warnings[key] = reason; });
+    }
+
+    for (const key of ['temperature', 'weight', 'height']) {
+      if (!data[key]) continue;
+      const reason = ClinicalValidator.checkQuantity(key, data[key], check);
+      warnings[key] = reason;
+      if (key === 'height') {
+        warnings.heightFeet = warnings.heightInches = reason;
+      }
+    }
+
+    if (data.dob) {
+      warnings.dob = ClinicalValidator.checkDob(data.dob);
+    }
+
+    // A date of birth that disagrees with the stated age casts doubt on both
+    const ageWarning = DateNormalizer.checkAge(data.dob, data.age);
+    if (ageWarning) {
+      warnings.dob = warnings.dob || ageWarning;
+      warnings.age = warnings.age || ageWarning;
+    }
+
+    Object.keys(warnings).forEach(key => {
+      if (!warnings[key]) delete warnings[key];
+    });
+    return warnings;
+  }
+
+  /**
+   * Range check in the base unit; an explicit unit that doesn't fit the number ("37 °F") is called out
+   */
+  static checkQuantity(key, value, check) {
+    const quantity = UnitConverter.parseQuantity(key, value);
+    if (!quantity) return `${ClinicalValidator.RANGES[key].label} "${value}" is not a number`;
+
+    const toBase = { temperature: 'c', weight: 'kg', height: 'cm' }[key];
+    if (quantity.unit) {
+      const base = UnitConverter.convert(quantity, toBase);
+      const shown = quantity.unit === toBase ? value.trim() : `${value.trim()} (${Math.round(base * 10) / 10} ${ClinicalValidator.RANGES[key].unit})`;
+      const reason = check(key, base, shown);
+
+      // "37 °F" reads fine as Celsius: the number is right, the unit is not
+      const otherUnit = { c: 'f', f: 'c', kg: 'lb', lb: 'kg' }[quantity.unit];
+      if (reason && otherUnit && !check(key, UnitConverter.convert({ ...quantity, unit: otherUnit }, toBase))) {
+        const otherLabel = { c: '°C', f: '°F', kg: 'kg', lb: 'lb' }[otherUnit];
+        return `${reason}; the number fits ${otherLabel}, so check the unit`;
+      }
+      return reason;
+    }
+
+    // Only weight can come back unitless: plausible if it reads as either kilograms or pounds
+    const asKg = check(key, quantity.value, value.trim());
+    const asLb = check(key, UnitConverter.convert({ ...quantity, unit: 'lb' }, 'kg'), value.trim());
+    return asKg && asLb ? asKg : null;
+  }
+
+  static checkDob(dob) {
+    const iso = DateNormalizer.parse(dob);
+    if (!iso) return `Date of birth "${dob}" is not a recognisable date`;
+
+    const age = DateNormalizer.ageOn(iso);
+    if (age < 0) return `Date of birth ${dob} is in the future`;
+    if (age > ClinicalValidator.RANGES.age.adult[1]) return `Date of birth ${dob} gives an implausible age of ${age}`;
+    return null;
+  }
+
+  /**
+   * Stated age, or the age from the date of birth, or null when neither is known
+   */
+  static effectiveAge(data) {
+    const stated = parseFloat(data.age);
+    if (!isNaN(stated)) return stated;
+
+    const iso = data.dob ? DateNormalizer.parse(data.dob) : null;
+    return iso ? DateNormalizer.ageOn(iso) : null;
+  }
+}
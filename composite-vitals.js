@@ -0,0 +1,130 @@
+/**
+ * Composite Vitals
+ * Splits blood pressure into systolic/diastolic and height into feet/inches when the EMR has separate inputs,
+ * and combines dictated parts when it has a single one
+ */
+
+class CompositeVitals {
+  static COMPOSITES = {
+    bloodPressure: {
+      context: /blood\s*pressure|\bbp|systolic|diastolic|\bsbp\b|\bdbp\b/i,
+      parts: [
+        { key: 'systolic', pattern: /\b(?:systolic|sbp|sys)\b/ },
+        { key: 'diastolic', pattern: /\b(?:diastolic|dbp|dia)\b/ }
+      ],
+      split(value) {
+        const match = value.match(/(\d{2,3})\s*(?:\/|over)\s*(\d{2,3})/i);
+        return match ? [match[1], match[2]] : null;
+      },
+      join([systolic, diastolic]) {
+        return `${systolic}/${diastolic}`;
+      }
+    },
+    height: {
+      context: /height|\bht\b/i,
+      parts: [
+        { key: 'heightFeet', pattern: /\b(?:ft|feet|foot)\b/ },
+        { key: 'heightInches', pattern: /\b(?:in|inch|inches)\b/ }
+      ],
+      split(value) {
+        const quantity = UnitConverter.parseQuantity('height', value);
+        if (!quantity) return null;
+        const inches = Math.round(quantity.unit === 'cm' ? quantity.value / 2.54 : quantity.value);
+        return [String(Math.floor(inches / 12)), String(inches % 12)];
+      },
+      join([feet, inches]) {
+        return `${feet}'${inches}"`;
+      }
+    }
+  };
+
+  /**
+   * The composite a part belongs to ('systolic' -> 'bloodPressure'), or null
+   */
+  static compositeOf(dataKey) {
+    const entry = Object.entries(CompositeVitals.COMPOSITES).find(([, composite]) =>
+      composite.parts.some(part => part.key === dataKey)
+    );
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Parsed fields plus each composite's parts, and a combined value where only the parts were dictated
+   */
+  static expand(fields) {
+    const expanded = { ...fields };
+
+    for (const [key, composite] of Object.entries(CompositeVitals.COMPOSITES)) {
+      const parts = composite.parts.map(part => fields[part.key]);
+      if (!expanded[key] && parts.every(Boolean)) {
+        expanded[key] = composite.join(parts);
+      }
+
+      const split = expanded[key] ? composite.split(expanded[key]) : null;
+      if (split) {
+        composite.parts.forEach((part, index) => {
+          expanded[part.key] = expanded[part.key] || split[index];
+        });
+      }
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Part mappings for every composite whose parts all have their own input among the given fields
+   */
+  static mapParts(data, fields, skipKeys = new Set()) {
+    const mappings = [];
+    const usedFields = new Set();
+
+    for (const [key, composite] of Object.entries(CompositeVitals.COMPOSITES)) {
+      if (!data[key] || skipKeys.has(key)) continue;
+      if (composite.parts.some(part => !data[part.key] || skipKeys.has(part.key))) continue;
+
+      const partFields = composite.parts.map(part =>
+        fields.find(field =>
+          !usedFields.has(field.element) &&
+          !field.readonly && !field.disabled &&
+          CompositeVitals.partOf(field, composite) === part.key
+        )
+      );
+      if (partFields.some(field => !field)) continue;
+
+      composite.parts.forEach((part, index) => {
+        mappings.push({
+          field: partFields[index],
+          value: data[part.key],
+          dataKey: part.key,
+          confidence: 0.9
+        });
+        usedFields.add(partFields[index].element);
+      });
+    }
+
+    return mappings;
+  }
+
+  /**
+   * Which part of a composite a field is for, judged by its own name, id, placeholder and unit text,
+   * then its label (a shared label like "Height ft in" can't tell the two inputs apart)
+   */
+  static partOf(field, composite) {
+    if (!['text', 'number', 'tel', 'select'].includes(field.type)) return null;
+    if (!composite.context.test(field.identifier)) return null;
+
+    const words = (values) => values
+      .filter(Boolean)
+      .join(' ')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ');
+    const match = (text) => {
+      const matched = composite.parts.filter(part => part.pattern.test(text));
+      return matched.length === 1 ? matched[0].key : null;
+    };
+
+    return match(words([field.name, field.id, field.placeholder, field.ariaLabel, UnitConverter.adjacentText(field.element)])) ||
+           match(words([field.label]));
+  }
+}
@@ -1,15 +1,22 @@
 class SmartAutofill {
   constructor() {
+    this.log = new Logger('Smart Autofill');
     this.isProcessing = false;
     this.timeout = 120000; 
+    this.history = new AutofillHistory();
+    // Choice fields where no option matched the value in the last run: { label, value }
+    this.unmatched = [];
     this.init();
   }
 
   init() {
-    console.log('[Smart Autofill] Initialized - watching for paste events');
+    this.log.debug('Initialized - watching for paste events');
     
     document.addEventListener('paste', (e) => {
-      const target = e.target;
+      // Rich-text fills paste into editors themselves; only the user's own pastes start an autofill
+      if (!e.isTrusted) return;
+      const origin = DeepDom.eventTarget(e);
+      const target = RichTextEditor.editorFor(origin) || origin;
       
       
       if (this.isFormField(target)) {
@@ -21,10 +28,11 @@ class SmartAutofill {
 
     
     document.addEventListener('input', (e) => {
-      const target = e.target;
+      const origin = DeepDom.eventTarget(e);
+      const target = RichTextEditor.editorFor(origin) || origin;
       
-      if (this.isFormField(target) && target.value.length > 50) {
-        if (this.looksLikeStructuredData(target.value)) {
+      if (e.isTrusted && this.isFormField(target) && this.fieldText(target).length > 50) {
+        if (this.looksLikeStructuredData(this.fieldText(target))) {
           this.handlePaste(target);
         }
       }
@@ -36,7 +44,14 @@ class SmartAutofill {
     if (!element) return false;
     
     const tagName = element.tagName.toLowerCase();
-    return tagName === 'input' || tagName === 'textarea';
+    return tagName === 'input' || tagName === 'textarea' || RichTextEditor.isEditor(element);
+  }
+
+  /**
+   * A field's current text; rich-text editors have no value
+   */
+  fieldText(element) {
+    return RichTextEditor.isEditor(element) ? RichTextEditor.text(element) : element.value || '';
   }
 
   looksLikeStructuredData(text) {
@@ -45,7 +60,10 @@ class SmartAutofill {
       /patient\s+name/i,
       /age\s*:\s*\d+/i,
       /blood\s+pressure/i,
-      /chief\s+complaint/i
+      /chief\s+complaint/i,
+      /\byear[- ]old\b/i,
+      /\b(?:pulse|heart\s+rate)\b/i,
+      /\b(?:complain(?:s|ing)\s+of|present(?:s|ing)\s+with)\b/i
     ];
 
     return patterns.some(pattern => pattern.test(text));
@@ -53,44 +71,66 @@ class SmartAutofill {
 
   async handlePaste(sourceField) {
     if (this.isProcessing) {
-      console.log('[Smart Autofill] Already processing, skipping');
+      this.log.debug('Already processing, skipping');
       return;
     }
 
-    const pastedText = sourceField.value.trim();
+    const pastedText = this.fieldText(sourceField).trim();
     
     if (!pastedText || pastedText.length < 10) {
       return;
     }
 
-    console.log('[Smart Autofill] Detected structured text, processing...');
+    this.log.debug('Detected structured text, processing...');
     this.isProcessing = true;
 
     try {
       const parsedData = this.parseStructuredText(pastedText);
       
       if (Object.keys(parsedData.fields).length === 0) {
-        console.log('[Smart Autofill] No structured data found');
+        this.log.info('No structured data found');
         this.isProcessing = false;
         return;
       }
 
-      console.log('[Smart Autofill] Extracted fields:', parsedData.fields);
+      this.log.debug('Extracted fields:', parsedData.fields);
       const formFields = this.detectFormFields(sourceField);
-      console.log(`[Smart Autofill] Found ${formFields.length} form fields`);
-      const mappings = this.mapDataToFields(parsedData, formFields);
-      console.log(`[Smart Autofill] Matched ${mappings.length} fields`);
+      this.log.debug(`Found ${formFields.length} form fields`);
+      const profile = await FieldMappingProfiles.findForLocation(window.location);
+      const mappings = this.mapDataToFields(parsedData, formFields, profile);
+      this.log.debug(`Matched ${mappings.length} fields`);
+
+      const approved = await this.reviewMappings(mappings, formFields);
+      if (!approved) {
+        this.log.info('Autofill cancelled during review');
+        this.showNotification('Autofill cancelled', 'info');
+        return;
+      }
 
-      await this.fillFields(mappings);
+      const filled = await this.fillFields(approved);
 
       this.clearSourceField(sourceField);
 
-      console.log('[Smart Autofill] Autofill completed successfully');
+      this.log.info('Autofill completed successfully');
 
-      this.showNotification('Form auto-filled successfully!', 'success');
+      // Choice fields with no matching option were left alone, so say which
+      let message = 'Form auto-filled successfully!';
+      if (this.unmatched.length > 0) {
+        const fields = this.unmatched.map(({ label, value }) => `${label} ("${value}")`).join(', ');
+        message = `${message} No matching option for ${fields}.`;
+      }
+
+      if (filled) {
+        this.showNotification(message, 'success', {
+          label: 'Undo autofill',
+          onClick: () => this.undoAutofill()
+        });
+      } else {
+        this.showNotification(message, 'success');
+      }
 
     } catch (error) {
-      console.error('[Smart Autofill] Error:', error);
+      this.log.error('Error:', error);
       this.showNotification('Autofill failed: ' + error.message, 'error');
     } finally {
       this.isProcessing = false;
@@ -98,56 +138,10 @@ class SmartAutofill {
   }
 
   /**
-   * Parse structured text into fields
+   * Parse transcript text into sections (shared with the other flow, see clinical-note-parser.js)
    */
   parseStructuredText(text) {
-    const parsed = {
-      raw: text,
-      fields: {}
-    };
-
-    // Common medical field patterns
-    const patterns = {
-      // Patient info
-      name: /(?:patient\s+name|name|patient)[:\s]+([^\n,]+?)(?=\n|,|$)/i,
-      age: /(?:age)[:\s]+(\d+)/i,
-      dob: /(?:date\s+of\s+birth|dob|birth\s+date)[:\s]+([^\n,]+?)(?=\n|,|$)/i,
-      gender: /(?:gender|sex)[:\s]+(male|female|other|m|f)/i,
-      
-      // Vitals
-      bloodPressure: /(?:blood\s+pressure|bp)[:\s]+(\d+\/\d+)/i,
-      heartRate: /(?:heart\s+rate|pulse|hr)[:\s]+(\d+)/i,
-      temperature: /(?:temperature|temp)[:\s]+([\d.]+)/i,
-      weight: /(?:weight|wt)[:\s]+([\d.]+)/i,
-      height: /(?:height|ht)[:\s]+([^\n,]+?)(?=\n|,|$)/i,
-      
-      // Clinical
-      chiefComplaint: /(?:chief\s+complaint|cc|complaint|reason\s+for\s+visit)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      diagnosis: /(?:diagnosis|dx)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      symptoms: /(?:symptoms|presenting\s+symptoms)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      allergies: /(?:allergies|allergy)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      medications: /(?:medications|meds|current\s+medications)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      
-      // History
-      medicalHistory: /(?:medical\s+history|pmh|past\s+medical\s+history)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      surgicalHistory: /(?:surgical\s+history|psh)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      familyHistory: /(?:family\s+history|fh)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      socialHistory: /(?:social\s+history|sh)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      
-      // Assessment & Plan
-      assessment: /(?:assessment)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      plan: /(?:plan|treatment\s+plan)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i,
-      notes: /(?:notes|additional\s+notes|comments)[:\s]+([^\n]+?)(?=\n(?:[A-Z])|$)/i
-    };
-
-    for (const [key, pattern] of Object.entries(patterns)) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        parsed.fields[key] = match[1].trim();
-      }
-    }
-
-    return parsed;
+    return ClinicalNoteParser.parse(text);
   }
 
   /**
@@ -156,7 +150,8 @@ class SmartAutofill {
   detectFormFields(sourceField) {
     const fields = [];
     
-    const inputs = document.querySelectorAll('input:not([type="submit"]):not([type="button"]):not([type="hidden"]), textarea, select');
+    // Includes inputs inside open shadow roots and same-origin iframes
+    const inputs = DeepDom.querySelectorAll(`input:not([type="submit"]):not([type="button"]):not([type="hidden"]), textarea, select, ${RichTextEditor.SELECTOR}, [role="combobox"], [role="listbox"]`);
     
     inputs.forEach((element, index) => {
       // Skip the source field
@@ -164,6 +159,21 @@ class SmartAutofill {
         return;
       }
 
+      // Regions nested inside an editor belong to that editor
+      if (element.isContentEditable && !RichTextEditor.isEditor(element)) {
+        return;
+      }
+
+      // Combobox wrappers and popups are filled through the combobox's own input
+      if (AriaCombobox.isInnerPart(element)) {
+        return;
+      }
+
+      // Unit selectors are set alongside their value field, not mapped on their own
+      if (UnitConverter.isUnitSelect(element)) {
+        return;
+      }
+
       if (!this.isFieldVisible(element)) {
         return;
       }
@@ -177,7 +187,7 @@ class SmartAutofill {
         placeholder: element.placeholder || '',
         label: this.getFieldLabel(element),
         ariaLabel: element.getAttribute('aria-label') || '',
-        value: element.value || '',
+        value: this.fieldText(element),
         required: element.required,
         readonly: element.readOnly,
         disabled: element.disabled
@@ -205,30 +215,47 @@ class SmartAutofill {
   }
 
   getFieldType(element) {
-    if (element.tagName === 'TEXTAREA') {
+    if (AriaCombobox.isCombobox(element)) {
+      return 'combobox';
+    } else if (AriaCombobox.isListbox(element)) {
+      return 'listbox';
+    } else if (element.tagName === 'TEXTAREA') {
       return 'textarea';
     } else if (element.tagName === 'SELECT') {
       return 'select';
     } else if (element.tagName === 'INPUT') {
       return element.type.toLowerCase() || 'text';
+    } else if (RichTextEditor.isEditor(element)) {
+      return 'richtext';
     }
     return 'unknown';
   }
 
   getFieldLabel(element) {
+    // Rich-text editors are usually labelled by a heading or caption elsewhere
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = DeepDom.rootOf(element);
+      const text = labelledBy.split(/\s+/)
+        .map(id => root.getElementById?.(id)?.textContent.trim())
+        .filter(Boolean)
+        .join(' ');
+      if (text) return text;
+    }
+
     if (element.id) {
-      const label = document.querySelector(`label[for="${element.id}"]`);
+      const label = DeepDom.rootOf(element).querySelector(`label[for="${element.id}"]`);
       if (label) return label.textContent.trim();
     }
 
     const parentLabel = element.closest('label');
     if (parentLabel) {
-      return parentLabel.textContent.replace(element.value, '').trim();
+      return parentLabel.textContent.replace(this.fieldText(element), '').trim();
     }
 
     const parent = element.parentElement;
     if (parent) {
-      const text = parent.textContent.replace(element.value, '').trim();
+      const text = parent.textContent.replace(this.fieldText(element), '').trim();
       if (text.length < 100) return text;
     }
 
@@ -247,8 +274,40 @@ class SmartAutofill {
     return parts.join(' ').toLowerCase();
   }
 
-  mapDataToFields(parsedData, fields) {
+  mapDataToFields(parsedData, fields, profile = null) {
     const mappings = [];
+    const pinnedFields = new Set();
+    const pinnedKeys = new Set();
+    const data = CompositeVitals.expand(parsedData.fields);
+
+    // Profile bindings take priority over keyword scoring
+    if (profile) {
+      for (const binding of profile.bindings) {
+        const dataValue = data[binding.dataKey];
+        if (!dataValue || pinnedKeys.has(binding.dataKey)) continue;
+
+        const field = FieldMappingProfiles.resolveBinding(binding, fields);
+        if (!field || field.readonly || field.disabled || pinnedFields.has(field.element)) continue;
+
+        mappings.push({
+          field: field,
+          value: dataValue,
+          dataKey: binding.dataKey,
+          confidence: 1.0,
+          pinned: true
+        });
+        pinnedFields.add(field.element);
+        pinnedKeys.add(binding.dataKey);
+      }
+    }
+
+    // Blood pressure and height go to separate inputs when the form has one per part
+    const partMappings = CompositeVitals.mapParts(data, fields.filter(field => !pinnedFields.has(field.element)), pinnedKeys);
+    partMappings.forEach(mapping => {
+      mappings.push(mapping);
+      pinnedFields.add(mapping.field.element);
+    });
+    const splitKeys = new Set(partMappings.map(mapping => CompositeVitals.compositeOf(mapping.dataKey)));
 
     const fieldKeywords = {
       name: ['name', 'patient name', 'full name', 'patient'],
@@ -274,7 +333,9 @@ class SmartAutofill {
       notes: ['notes', 'additional notes', 'comments']
     };
 
-    for (const [dataKey, dataValue] of Object.entries(parsedData.fields)) {
+    for (const [dataKey, dataValue] of Object.entries(data)) {
+      if (pinnedKeys.has(dataKey) || splitKeys.has(dataKey) || CompositeVitals.compositeOf(dataKey)) continue;
+
       const keywords = fieldKeywords[dataKey] || [dataKey];
       
       let bestMatch = null;
@@ -282,6 +343,7 @@ class SmartAutofill {
 
       for (const field of fields) {
         if (field.readonly || field.disabled) continue;
+        if (pinnedFields.has(field.element)) continue;
 
         const score = this.calculateMatchScore(field.identifier, keywords);
         
@@ -301,9 +363,36 @@ class SmartAutofill {
       }
     }
 
+
+    // Implausible vitals and demographics, and unitless weights for fields with a unit, are withheld for review
+    // rather than filled silently
+    const warnings = ClinicalValidator.validate(data);
+    for (const mapping of mappings) {
+      const warning = warnings[mapping.dataKey] || UnitConverter.unitWarning(mapping.dataKey, mapping.value, mapping.field);
+      if (!warning) continue;
+      this.log.warn(`Withholding ${mapping.dataKey}:`, warning);
+      mapping.warning = warning;
+    }
     return mappings;
   }
 
+  /**
+   * Show the review panel when the review setting asks for it; resolves with the mappings to fill, or null if cancelled
+   */
+  async reviewMappings(mappings, formFields) {
+    const { reviewMode, lowConfidenceThreshold } = await AutofillSettings.get();
+    const needsReview = reviewMode === 'always' ||
+      (reviewMode === 'lowConfidence' && mappings.some(m => m.confidence < lowConfidenceThreshold)) ||
+      mappings.some(m => m.warning);
+
+    if (!needsReview || mappings.length === 0) {
+      return mappings;
+    }
+
+    const panel = new AutofillReviewPanel(mappings, formFields, lowConfidenceThreshold);
+    return panel.review();
+  }
+
   calculateMatchScore(identifier, keywords) {
     let maxScore = 0;
 
@@ -333,17 +422,54 @@ class SmartAutofill {
   }
 
   async fillFields(mappings) {
+    this.history.beginRun();
+    this.unmatched = [];
     for (const mapping of mappings) {
       try {
-        await this.fillField(mapping.field, mapping.value);
+        // List sections go into repeating rows, or one item per line into a textarea
+        if (await RepeatingRows.fill(this, mapping)) {
+          await this.sleep(100);
+          continue;
+        }
+
+        this.history.record(mapping.field.element);
+        const prepared = UnitConverter.prepare(mapping.dataKey, mapping.value, mapping.field);
+        if (prepared.unitSelect) {
+          this.history.record(prepared.unitSelect);
+          this.fillSelectField(prepared.unitSelect, prepared.unitOption.value);
+        }
+        await this.fillField(mapping.field, DateNormalizer.prepare(mapping.dataKey, prepared.value, mapping.field));
         await this.sleep(100);
       } catch (error) {
-        console.error('[Smart Autofill] Error filling field:', error);
+        this.log.error('Error filling field:', error);
       }
     }
+    return this.history.endRun();
   }
 
-  
+  /**
+   * Restore every field touched by the last autofill run
+   */
+  undoAutofill() {
+    // Restoring fires input events; don't let them trigger a new autofill
+    this.isProcessing = true;
+    try {
+      const restored = this.history.undoLastRun();
+      this.log.info(`Undo restored ${restored} fields`);
+
+      if (restored === 0) {
+        this.showNotification('Nothing to undo', 'info');
+      } else {
+        this.showNotification('Autofill undone', 'success');
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Write one value; resolves false when a choice field has no option matching it, which is noted for the run's report
+   */
   async fillField(fieldInfo, value) {
     const element = fieldInfo.element;
 
@@ -351,6 +477,7 @@ class SmartAutofill {
     await this.sleep(100);
 
     this.highlightField(element);
+    let placed = true;
 
     switch (fieldInfo.type) {
       case 'text':
@@ -358,12 +485,26 @@ class SmartAutofill {
       case 'tel':
       case 'number':
       case 'date':
+      case 'datetime-local':
+      case 'month':
       case 'textarea':
         this.fillTextInput(element, value);
         break;
 
+      case 'richtext':
+        RichTextEditor.fill(element, value);
+        break;
+
       case 'select':
-        this.fillSelectField(element, value);
+        placed = this.fillSelectField(element, value);
+        break;
+
+      case 'combobox':
+        placed = await AriaCombobox.fill(element, value);
+        break;
+
+      case 'listbox':
+        placed = AriaCombobox.fillListbox(element, value);
         break;
 
       case 'radio':
@@ -374,27 +515,20 @@ class SmartAutofill {
         this.fillCheckbox(element, value);
         break;
     }
+
+    if (!placed) {
+      this.log.warn(`No option matches the value for a ${fieldInfo.type} field:`, { field: fieldInfo.identifier, value: value });
+      this.unmatched.push({ label: fieldInfo.label || fieldInfo.identifier, value: value });
+    }
+    return placed;
   }
 
   
   fillTextInput(element, value) {
     element.focus();
 
-    const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
-      window.HTMLInputElement.prototype,
-      'value'
-    ).set;
-    
-    const nativeTextAreaValueSetter = Object.getOwnPropertyDescriptor(
-      window.HTMLTextAreaElement.prototype,
-      'value'
-    ).set;
-
-    if (element.tagName === 'TEXTAREA') {
-      nativeTextAreaValueSetter.call(element, value);
-    } else {
-      nativeInputValueSetter.call(element, value);
-    }
+    // The setter from the element's own window, which differs for fields in an iframe
+    DeepDom.valueSetter(element).call(element, value);
 
     element.dispatchEvent(new Event('input', { bubbles: true }));
     element.dispatchEvent(new Event('change', { bubbles: true }));
@@ -416,16 +550,16 @@ class SmartAutofill {
       );
     }
 
-    if (matchedOption) {
-      element.value = matchedOption.value;
-      element.dispatchEvent(new Event('change', { bubbles: true }));
-    }
+    if (!matchedOption) return false;
+    element.value = matchedOption.value;
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
   }
 
 
   fillRadioButton(element, value) {
     const name = element.name;
-    const radioButtons = document.querySelectorAll(`input[type="radio"][name="${name}"]`);
+    const radioButtons = DeepDom.rootOf(element).querySelectorAll(`input[type="radio"][name="${name}"]`);
 
     for (const radio of radioButtons) {
       const label = this.getFieldLabel(radio);
@@ -468,14 +602,22 @@ class SmartAutofill {
 
   clearSourceField(field) {
     setTimeout(() => {
+      if (RichTextEditor.isEditor(field)) {
+        RichTextEditor.clear(field);
+        this.log.debug('Source field cleared');
+        return;
+      }
       field.value = '';
       field.dispatchEvent(new Event('input', { bubbles: true }));
       field.dispatchEvent(new Event('change', { bubbles: true }));
-      console.log('[Smart Autofill] Source field cleared');
+      this.log.debug('Source field cleared');
     }, 500);
   }
 
-  showNotification(message, type = 'info') {
+  /**
+   * Show a toast; with an action it stays until the action is used or dismissed
+   */
+  showNotification(message, type = 'info', action = null) {
     const notification = document.createElement('div');
     notification.textContent = message;
     notification.style.cssText = `
@@ -494,12 +636,34 @@ class SmartAutofill {
       animation: slideIn 0.3s ease-out;
     `;
 
-    document.body.appendChild(notification);
-
-    setTimeout(() => {
+    const dismiss = () => {
       notification.style.animation = 'slideOut 0.3s ease-out';
       setTimeout(() => notification.remove(), 300);
-    }, 3000);
+    };
+
+    if (action) {
+      const button = document.createElement('button');
+      button.textContent = action.label;
+      button.style.cssText = 'margin-left: 12px; padding: 4px 10px; border: 1px solid white; border-radius: 4px; background: transparent; color: white; font: inherit; cursor: pointer;';
+      button.addEventListener('click', () => {
+        dismiss();
+        action.onClick();
+      });
+
+      const close = document.createElement('button');
+      close.textContent = '×';
+      close.setAttribute('aria-label', 'Dismiss');
+      close.style.cssText = 'margin-left: 8px; border: none; background: transparent; color: white; font-size: 18px; cursor: pointer;';
+      close.addEventListener('click', dismiss);
+
+      notification.append(button, close);
+      document.body.appendChild(notification);
+      return;
+    }
+
+    document.body.appendChild(notification);
+
+    setTimeout(dismiss, 3000);
   }
 
   sleep(ms) {
@@ -534,4 +698,4 @@ style.textContent = `
 document.head.appendChild(style);
 
 const smartAutofill = new SmartAutofill();
-console.log('[Smart Autofill] Ready - paste structured text into any field!');
+smartAutofill.log.debug('Ready - paste structured text into any field!');
@@ -5,16 +5,44 @@
 
 class CrossTabAutofill {
   constructor() {
+    this.log = new Logger('Cross-Tab Autofill');
     this.isTranscriptionPage = false;
     this.isEMRPage = false;
     this.transcriptElement = null;
     this.lastTranscript = '';
     this.observers = [];
+    this.history = new AutofillHistory();
+    // Choice fields where no option matched the value in the last run: { label, value }
+    this.unmatched = [];
+    this.pending = new PendingFills(this);
+    this.corrections = new CorrectionWatcher(this);
     this.init();
   }
 
   async init() {
     try {
+      // "Fill this field with…" is answered by the frame that was right-clicked
+      this.initContextMenuTarget();
+
+      // Frames the top frame can reach are read through its DOM; the rest act as its agents (see initFrameAgent)
+      if (window !== window.top) {
+        if (!DeepDom.isReachableFromTop()) {
+          this.initFrameAgent();
+          return;
+        }
+
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+          if (message.type !== 'FILL_CONTEXT_FIELD') return false;
+          this.fillContextField(message).then(sendResponse);
+          return true;
+        });
+        if (this.hasLocalForms()) {
+          // Pastes in this frame never reach the top frame's listener
+          this.initEMRPage();
+        }
+        return;
+      }
+
       await this.detectPageType();
       
       this.messageHandler = (message, sender, sendResponse) => {
@@ -26,11 +54,13 @@ class CrossTabAutofill {
 
       if (this.isTranscriptionPage) {
         this.initTranscriptionPage();
-      } else if (this.isEMRPage) {
-        this.initEMRPage();
+      } else {
+        if (this.isEMRPage) this.initEMRPage();
+        // The previous step of a multi-page form may have left values for this one
+        this.pending.restore();
       }
     } catch (error) {
-      console.error('Initialization error:', error);
+      this.log.error('Initialization error:', error);
     }
   }
 
@@ -38,8 +68,9 @@ class CrossTabAutofill {
    * Detect if this is transcription page or EMR page
    */
   async detectPageType() {
-    const textBox = document.getElementById('textBox') || 
-                    document.getElementById('id-intronies-transcript-textbox');
+    // Transcription apps are registered on the options page
+    this.source = await TranscriptionSources.forUrl(window.location.href);
+    const textBox = this.source && TranscriptionSources.queryFirst(this.source.transcriptSelector);
     
     if (textBox) {
       this.isTranscriptionPage = true;
@@ -47,10 +78,8 @@ class CrossTabAutofill {
       return;
     }
 
-    const forms = document.querySelectorAll('form');
-    const inputs = document.querySelectorAll('input:not([type="submit"]):not([type="button"]), textarea, select');
-    
-    if (forms.length > 0 || inputs.length > 5) {
+    // Counts forms in cross-origin frames too; those frames don't identify the tab themselves
+    if (await this.checkHasForms()) {
       this.isEMRPage = true;
       chrome.runtime.sendMessage({ type: 'IDENTIFY_AS_EMR' });
     }
@@ -84,45 +113,50 @@ class CrossTabAutofill {
   }
 
   /**
-   * Watch for stop recording button
+   * Watch for the source's stop/finish control and completion signal
    */
   watchForStopButton() {
-    const stopBtn = document.getElementById('stopBtn') || 
-                    document.getElementById('id-intronies-stop-btn');
+    const { stopSelector, completionSelector } = this.source;
+    const keywords = TranscriptionSources.completionKeywords(this.source);
     
     const clickHandler = () => this.waitForFinalTranscript();
     
-    if (stopBtn) {
-      stopBtn.addEventListener('click', clickHandler);
-      this.stopButtonHandler = clickHandler;
-    } else {
-      // Use event delegation for dynamic buttons
-      document.addEventListener('click', (e) => {
-        const target = e.target.closest('button');
-        if (target && 
-            (target.textContent.toLowerCase().includes('stop') || 
-             target.textContent.toLowerCase().includes('finish'))) {
+    // Use event delegation so stop controls rendered later are caught too
+    this.stopButtonHandler = (e) => {
+      if (stopSelector) {
+        if (TranscriptionSources.closest(e.target, stopSelector)) {
           clickHandler();
         }
-      });
-    }
+        return;
+      }
+
+      // No stop control configured: fall back to any stop/finish button
+      const target = e.target.closest('button');
+      if (target && 
+          (target.textContent.toLowerCase().includes('stop') || 
+           target.textContent.toLowerCase().includes('finish'))) {
+        clickHandler();
+      }
+    };
+    document.addEventListener('click', this.stopButtonHandler, true);
 
-    const startPrompt = document.getElementById('start-prompt');
-    if (startPrompt) {
+    const completionElement = TranscriptionSources.queryFirst(completionSelector);
+    if (completionElement && keywords.length > 0) {
       const observer = new MutationObserver(() => {
-        const text = startPrompt.textContent;
-        if (text.includes('finished') || text.includes('review')) {
+        const text = completionElement.textContent.toLowerCase();
+        if (keywords.some(keyword => text.includes(keyword))) {
           setTimeout(() => {
             this.sendTranscriptToBackground();
           }, 500);
         }
       });
       
-      observer.observe(startPrompt, {
+      observer.observe(completionElement, {
         childList: true,
         characterData: true,
         subtree: true
       });
+      this.observers.push(observer);
     }
   }
 
@@ -188,7 +222,7 @@ class CrossTabAutofill {
   
   completeTranscriptCheck() {
     this.cleanupTranscriptCheck();
-    this.sendTranscriptToBackground().catch(console.error);
+    this.sendTranscriptToBackground();
   }
   
   cleanupTranscriptCheck() {
@@ -214,7 +248,7 @@ class CrossTabAutofill {
     // Only process if transcript has meaningful content and changed
     if (currentTranscript.length > 20 && currentTranscript !== this.lastTranscript) {
       this.lastTranscript = currentTranscript;
-      console.log('[Cross-Tab Autofill] Transcript updated:', currentTranscript.substring(0, 50) + '...');
+      this.log.debug('Transcript updated:', currentTranscript);
       
       // Send to background service
       chrome.runtime.sendMessage({
@@ -229,13 +263,13 @@ class CrossTabAutofill {
    */
   sendTranscriptToBackground() {
     if (!this.transcriptElement) {
-      console.log('[Cross-Tab Autofill] Error: No transcript element found');
+      this.log.warn('No transcript element found');
       return;
     }
     
     // Check if extension context is still valid
     if (!chrome.runtime?.id) {
-      console.error('[Cross-Tab Autofill] ❌ Extension context invalidated. Please refresh the page.');
+      this.log.error('❌ Extension context invalidated. Please refresh the page.');
       alert('Extension was reloaded. Please refresh this page and try again.');
       return;
     }
@@ -243,11 +277,11 @@ class CrossTabAutofill {
     // Use .value for textarea, .textContent for other elements
     const transcript = (this.transcriptElement.value || this.transcriptElement.textContent).trim();
     
-    console.log('[Cross-Tab Autofill] Transcript length:', transcript.length);
-    console.log('[Cross-Tab Autofill] Transcript preview:', transcript.substring(0, 100));
+    this.log.debug(`Transcript length: ${transcript.length}`);
+    this.log.debug('Transcript preview:', transcript.substring(0, 100));
     
     if (transcript.length > 10) {
-      console.log('[Cross-Tab Autofill] Sending transcript to background service');
+      this.log.debug('Sending transcript to background service');
       
       try {
         chrome.runtime.sendMessage({
@@ -255,16 +289,16 @@ class CrossTabAutofill {
           data: transcript
         }, (response) => {
           if (chrome.runtime.lastError) {
-            console.error('[Cross-Tab Autofill] Error sending message:', chrome.runtime.lastError);
+            this.log.error('Error sending message:', chrome.runtime.lastError);
             if (chrome.runtime.lastError.message.includes('Extension context invalidated')) {
               alert('Extension was reloaded. Please refresh this page and try again.');
             }
           } else {
-            console.log('[Cross-Tab Autofill] Message sent successfully:', response);
+            this.log.debug('Message sent successfully:', response);
           }
         });
       } catch (error) {
-        console.error('[Cross-Tab Autofill] Exception sending message:', error);
+        this.log.error('Exception sending message:', error);
         alert('Extension error. Please refresh this page and try again.');
         return;
       }
@@ -272,7 +306,7 @@ class CrossTabAutofill {
       // Show visual feedback
       this.showTranscriptCaptured();
     } else {
-      console.log('[Cross-Tab Autofill] Transcript too short, not sending');
+      this.log.debug('Transcript too short, not sending');
     }
   }
 
@@ -310,11 +344,14 @@ class CrossTabAutofill {
    * Initialize EMR page
    */
   initEMRPage() {
-    console.log('[Cross-Tab Autofill] EMR page ready for autofill');
+    this.log.debug('EMR page ready for autofill');
     
     // Still support paste-to-autofill
     document.addEventListener('paste', (e) => {
-      const target = e.target;
+      // Rich-text fills paste into editors themselves; only the user's own pastes start an autofill
+      if (!e.isTrusted) return;
+      const origin = DeepDom.eventTarget(e);
+      const target = RichTextEditor.editorFor(origin) || origin;
       
       if (this.isFormField(target)) {
         setTimeout(() => {
@@ -324,17 +361,170 @@ class CrossTabAutofill {
     }, true);
   }
 
+  /**
+   * Run as an agent of the top frame in a cross-origin frame it can't read.
+   * The top frame asks for this frame's fields and sends back the mappings to fill, so the tab gets one
+   * mapping pass and one review; tab-wide messages are left for the top frame to answer.
+   */
+  initFrameAgent() {
+    this.messageHandler = (message, sender, sendResponse) => {
+      if (!['DESCRIBE_FIELDS', 'FILL_FIELDS', 'UNDO_FILL', 'FILL_CONTEXT_FIELD'].includes(message.type)) return false;
+      this.handleFrameMessage(message, sendResponse);
+      return true;
+    };
+    chrome.runtime.onMessage.addListener(this.messageHandler);
+
+    if (this.hasLocalForms()) {
+      this.isEMRPage = true;
+      this.initEMRPage();
+    }
+  }
+
+  async handleFrameMessage(message, sendResponse) {
+    switch (message.type) {
+      case 'DESCRIBE_FIELDS':
+        sendResponse({ fields: this.describeFields() });
+        break;
+
+      case 'FILL_FIELDS': {
+        const mappings = message.mappings.map(mapping => ({ ...mapping, field: this.frameFields?.[mapping.field] }));
+        const filled = await this.fillFields(mappings.filter(mapping => mapping.field));
+        sendResponse({
+          filled: filled,
+          unmatched: this.unmatched,
+          // In the order sent, for the top frame's audit log
+          results: mappings.map(mapping => ({ outcome: mapping.outcome || 'error', written: mapping.written ?? null }))
+        });
+        break;
+      }
+
+      case 'UNDO_FILL':
+        sendResponse({ restored: this.history.undoLastRun() });
+        break;
+
+      case 'FILL_CONTEXT_FIELD':
+        sendResponse(await this.fillContextField(message));
+        break;
+    }
+  }
+
+  /**
+   * Remember the field last right-clicked in this frame
+   */
+  initContextMenuTarget() {
+    document.addEventListener('contextmenu', (e) => {
+      const origin = DeepDom.eventTarget(e);
+      this.contextTarget = RichTextEditor.editorFor(origin) || origin;
+    }, true);
+  }
+
+  /**
+   * Fill the right-clicked field with the section chosen from "Fill this field with…", as it stands: no list splitting.
+   * Resolves with the field's id or name, which a site profile binding can point at.
+   */
+  async fillContextField(message) {
+    const target = this.contextTarget;
+    const fields = target?.isConnected ? this.detectFormFields() : [];
+    const field = fields.find(candidate => candidate.element === target) ||
+      fields.find(candidate => candidate.element.contains(target));
+    if (!field) {
+      this.showNotification('This field can\'t be filled', 'error');
+      return { filled: false };
+    }
+
+    // A single section, or the whole note, can still be another patient's
+    if (!await this.checkPatient(ClinicalNoteParser.parse(message.transcript).fields, 'contextMenu', message.transcript)) {
+      return { filled: false };
+    }
+
+    const mapping = { field: field, value: message.value, dataKey: message.dataKey, confidence: 1, manual: true };
+    const filled = await this.fillFields([mapping]);
+    this.auditRun('contextMenu', {
+      transcript: message.transcript,
+      mappings: [mapping],
+      approved: [mapping],
+      outcome: filled ? 'filled' : 'unchanged'
+    });
+
+    this.showFillComplete(filled ? 'Field filled' : 'Field left unchanged', filled);
+    return { filled: filled, selector: field.id || field.name || null };
+  }
+
+  /**
+   * This frame's fields without their elements, which can't cross frames; FILL_FIELDS refers to them by position
+   */
+  describeFields() {
+    this.frameFields = this.detectFormFields();
+    return this.frameFields.map(({ element, ...field }) => ({
+      ...field,
+      tagName: element.tagName,
+      adjacentText: UnitConverter.adjacentText(element)
+    }));
+  }
+
+  /**
+   * Fields in cross-origin frames, gathered through their agents. Each gets a detached stand-in element
+   * carrying its attributes and neighbouring unit text, so profile selectors and unit detection still apply.
+   */
+  async collectFrameFields() {
+    try {
+      const { frameIds = [] } = await chrome.runtime.sendMessage({ type: 'LIST_FRAMES' });
+      const described = await Promise.all(frameIds.map(frameId =>
+        chrome.runtime.sendMessage({ type: 'SEND_TO_FRAME', frameId: frameId, message: { type: 'DESCRIBE_FIELDS' } })
+          .then(response => (response?.fields || []).map((field, position) => this.frameField(field, frameId, position)))
+          .catch(() => [])
+      ));
+      const fields = described.flat();
+      if (fields.length > 0) {
+        this.log.debug(`Found ${fields.length} form fields in embedded frames`);
+      }
+      return fields;
+    } catch (error) {
+      this.log.warn('Could not reach embedded frames:', error);
+      return [];
+    }
+  }
+
+  frameField(descriptor, frameId, position) {
+    const { tagName, adjacentText, ...field } = descriptor;
+    const container = document.createElement('span');
+    const element = document.createElement(tagName);
+    ['name', 'id', 'placeholder'].forEach(attribute => {
+      if (field[attribute]) element.setAttribute(attribute, field[attribute]);
+    });
+    if (field.ariaLabel) element.setAttribute('aria-label', field.ariaLabel);
+    if (tagName === 'INPUT') element.setAttribute('type', field.type);
+    container.append(element, adjacentText);
+
+    return { ...field, element: element, frameId: frameId, framePosition: position };
+  }
+
   /**
    * Handle messages from background service
    */
   async handleMessage(message, sender, sendResponse) {
-    console.log('[Cross-Tab Autofill] Received message:', message.type);
+    this.log.debug(`Received message: ${message.type}`);
 
     switch (message.type) {
-      case 'AUTOFILL_TRANSCRIPT':
-        await this.autofillFromTranscript(message.data);
-        sendResponse({ success: true });
+      case 'AUTOFILL_TRANSCRIPT': {
+        const filled = await this.autofillFromTranscript(message.data, { preview: message.preview });
+        sendResponse({ success: true, filled: filled });
         break;
+      }
+
+      case 'UNDO_AUTOFILL':
+        sendResponse({ undone: await this.undoAutofill() });
+        break;
+
+      case 'FILL_CONTEXT_FIELD':
+        sendResponse(await this.fillContextField(message));
+        break;
+
+      case 'CHOOSE_TRANSCRIPT': {
+        const picker = new TranscriptPicker(message.data);
+        sendResponse({ id: await picker.choose() });
+        break;
+      }
 
       case 'EXTRACT_TRANSCRIPT':
         const transcript = this.extractTranscript();
@@ -342,7 +532,7 @@ class CrossTabAutofill {
         break;
 
       case 'CHECK_HAS_FORMS':
-        const hasForms = this.checkHasForms();
+        const hasForms = await this.checkHasForms();
         sendResponse({ hasForms: hasForms });
         break;
 
@@ -365,49 +555,98 @@ class CrossTabAutofill {
   /**
    * Check if page has forms
    */
-  checkHasForms() {
-    const forms = document.querySelectorAll('form');
-    const inputs = document.querySelectorAll('input:not([type="submit"]):not([type="button"]), textarea, select');
+  async checkHasForms() {
+    if (this.hasLocalForms()) return true;
+    const frameFields = await this.collectFrameFields();
+    return frameFields.length > 5;
+  }
+
+  /**
+   * Forms or enough inputs in this frame, its open shadow roots and same-origin iframes
+   */
+  hasLocalForms() {
+    const forms = DeepDom.querySelectorAll('form');
+    const inputs = DeepDom.querySelectorAll('input:not([type="submit"]):not([type="button"]), textarea, select');
     return forms.length > 0 || inputs.length > 5;
   }
 
   /**
-   * Autofill from transcript (received from background service)
+   * Autofill from transcript (received from background service); resolves true if any field was written
+   * @param {Object} options - preview: show the review panel even when the review setting would skip it
    */
-  async autofillFromTranscript(transcript) {
-    console.log('[Cross-Tab Autofill] Auto-filling from transcript');
+  async autofillFromTranscript(transcript, options = {}) {
+    this.log.info('Auto-filling from transcript');
     
     // Parse the transcript
     const parsedData = this.parseStructuredText(transcript);
     
     if (Object.keys(parsedData.fields).length === 0) {
-      console.log('[Cross-Tab Autofill] No structured data found');
+      this.log.info('No structured data found');
       this.showNotification('No structured data found in transcript', 'error');
-      return;
+      return false;
     }
 
-    console.log('[Cross-Tab Autofill] Extracted fields:', parsedData.fields);
+    this.log.debug('Extracted fields:', parsedData.fields);
+
+    // Make sure this chart belongs to the patient in the transcript
+    if (!await this.checkPatient(parsedData.fields, 'transcript', transcript)) return false;
 
-    // Find all form fields
-    const formFields = this.detectFormFields();
-    console.log(`[Cross-Tab Autofill] Found ${formFields.length} form fields`);
+    // Find all form fields, including those in cross-origin frames
+    const formFields = [...this.detectFormFields(), ...await this.collectFrameFields()];
+    this.log.debug(`Found ${formFields.length} form fields`);
 
-    // Match data to fields
-    const mappings = this.mapDataToFields(parsedData, formFields);
-    console.log(`[Cross-Tab Autofill] Matched ${mappings.length} fields`);
+    // Match data to fields, site profile bindings first
+    const profile = await FieldMappingProfiles.findForLocation(window.location);
+    const mappings = this.mapDataToFields(parsedData, formFields, profile);
+    this.log.debug(`Matched ${mappings.length} fields`);
+
+    // Let the clinician review the proposed mappings if settings ask for it
+    const approved = await this.reviewMappings(mappings, formFields, options.preview);
+    if (!approved) {
+      this.log.info('Autofill cancelled during review');
+      this.auditRun('transcript', { transcript: transcript, mappings: mappings, outcome: 'cancelled' });
+      await this.pending.clear();
+      this.showNotification('Autofill cancelled', 'info');
+      return false;
+    }
 
     // Fill the fields
-    await this.fillFields(mappings);
+    const filled = await this.fillFields(approved);
+    this.auditRun('transcript', { transcript: transcript, mappings: mappings, approved: approved, outcome: filled ? 'filled' : 'unchanged' });
+    this.corrections.watch(approved);
 
-    console.log('[Cross-Tab Autofill] Autofill completed');
-    this.showNotification('Form auto-filled successfully!', 'success');
+    // Values with no field yet wait for later steps or tabs of the form to render
+    await this.pending.keep(parsedData.fields, mappings, transcript, true);
+
+    this.log.info('Autofill completed');
+    this.showFillComplete('Form auto-filled successfully!', filled);
+    return filled;
+  }
+
+  /**
+   * Make sure this chart belongs to the patient in the text, letting the clinician override a failed check;
+   * resolves false, after auditing the blocked run, when the fill should not go ahead
+   */
+  async checkPatient(fields, trigger, transcript) {
+    const identity = await PatientIdentityCheck.verify(fields);
+    if (identity.status === 'match') return true;
+
+    this.log.warn(`Patient check ${identity.status}:`, identity.reasons);
+    const override = await PatientIdentityCheck.confirmOverride(identity);
+    if (!override) {
+      this.auditRun(trigger, { transcript: transcript, outcome: 'blocked' });
+      this.showNotification('Autofill blocked: patient not verified', 'error');
+      return false;
+    }
+    this.log.info('Patient check overridden by user');
+    return true;
   }
 
   /**
    * Handle paste event (fallback method)
    */
   async handlePaste(sourceField) {
-    const pastedText = sourceField.value.trim();
+    const pastedText = this.fieldText(sourceField).trim();
     
     if (!pastedText || pastedText.length < 10) {
       return;
@@ -417,7 +656,7 @@ class CrossTabAutofill {
       return;
     }
 
-    console.log('[Cross-Tab Autofill] Detected structured text via paste');
+    this.log.debug('Detected structured text via paste');
 
     const parsedData = this.parseStructuredText(pastedText);
     
@@ -425,17 +664,148 @@ class CrossTabAutofill {
       return;
     }
 
-    const formFields = this.detectFormFields(sourceField);
-    const mappings = this.mapDataToFields(parsedData, formFields);
-    await this.fillFields(mappings);
+    if (!await this.checkPatient(parsedData.fields, 'paste', pastedText)) return;
+
+    // Cross-origin frames only take part when the paste is in the top frame
+    const frameFields = window === window.top ? await this.collectFrameFields() : [];
+    const formFields = [...this.detectFormFields(sourceField), ...frameFields];
+    const profile = await FieldMappingProfiles.findForLocation(window.location);
+    const mappings = this.mapDataToFields(parsedData, formFields, profile);
+
+    const approved = await this.reviewMappings(mappings, formFields);
+    if (!approved) {
+      this.auditRun('paste', { transcript: pastedText, mappings: mappings, outcome: 'cancelled' });
+      if (window === window.top) await this.pending.clear();
+      this.showNotification('Autofill cancelled', 'info');
+      return;
+    }
+
+    const filled = await this.fillFields(approved);
+    this.auditRun('paste', { transcript: pastedText, mappings: mappings, approved: approved, outcome: filled ? 'filled' : 'unchanged' });
+    this.corrections.watch(approved);
+    if (window === window.top) {
+      // Pasted text can come from anywhere, so later fills check the patient again before writing
+      await this.pending.keep(parsedData.fields, mappings, pastedText, false);
+    }
 
     // Clear source field
     setTimeout(() => {
+      if (RichTextEditor.isEditor(sourceField)) {
+        RichTextEditor.clear(sourceField);
+        return;
+      }
       sourceField.value = '';
       sourceField.dispatchEvent(new Event('input', { bubbles: true }));
     }, 500);
 
-    this.showNotification('✅ Form auto-filled successfully!', 'success');
+    this.showFillComplete('✅ Form auto-filled successfully!', filled);
+  }
+
+  /**
+   * Report a run to the audit log kept by the background service, which stores value lengths (or hashes), not values
+   * @param {string} trigger - 'transcript', 'paste' or 'pending'
+   */
+  auditRun(trigger, { transcript = null, mappings = [], approved = [], outcome }) {
+    const approvedKeys = new Set(approved.map(mapping => mapping.dataKey));
+    const fields = [
+      ...approved.map(mapping => this.auditField(mapping, mapping.outcome || 'error')),
+      ...mappings
+        .filter(mapping => !approvedKeys.has(mapping.dataKey))
+        .map(mapping => this.auditField(mapping, mapping.warning ? 'withheld' : 'rejected'))
+    ];
+
+    chrome.runtime.sendMessage({
+      type: 'RECORD_AUDIT',
+      run: {
+        trigger: trigger,
+        origin: window.location.origin,
+        path: window.location.pathname,
+        transcript: transcript,
+        outcome: outcome,
+        fields: fields
+      }
+    }).catch(error => this.log.warn('Could not write audit log:', error));
+  }
+
+  /**
+   * A mapping as the audit log sees it; the target is the field's id or name, not its label or content
+   */
+  auditField(mapping, status) {
+    const field = mapping.field;
+    const target = field.id ? `#${field.id}` : field.name ? `[name="${field.name}"]` : `${field.type} "${field.label.substring(0, 40)}"`;
+    return {
+      dataKey: mapping.dataKey,
+      target: target,
+      confidence: mapping.confidence,
+      source: mapping.manual ? 'manual' : mapping.pinned ? 'profile' : 'match',
+      retargeted: !!mapping.retargeted,
+      flagged: !!mapping.warning,
+      inFrame: field.frameId !== undefined,
+      status: status,
+      before: field.value,
+      after: mapping.written ?? null
+    };
+  }
+
+  /**
+   * Show the review panel when the review setting asks for it; resolves with the mappings to fill, or null if cancelled
+   */
+  async reviewMappings(mappings, formFields, force = false) {
+    const { reviewMode, lowConfidenceThreshold } = await AutofillSettings.get();
+    const needsReview = force || reviewMode === 'always' ||
+      (reviewMode === 'lowConfidence' && mappings.some(m => m.confidence < lowConfidenceThreshold)) ||
+      mappings.some(m => m.warning);
+
+    if (!needsReview || mappings.length === 0) {
+      return mappings;
+    }
+
+    const panel = new AutofillReviewPanel(mappings, formFields, lowConfidenceThreshold);
+    return panel.review();
+  }
+
+  /**
+   * Confirm a finished run, offering to undo it if anything was written
+   */
+  showFillComplete(message, filled) {
+    // Choice fields with no matching option were left alone, so say which
+    if (this.unmatched.length > 0) {
+      const fields = this.unmatched.map(({ label, value }) => `${label} ("${value}")`).join(', ');
+      message = `${message} No matching option for ${fields}.`;
+    }
+
+    if (!filled) {
+      this.showNotification(message, 'success');
+      return;
+    }
+    this.showNotification(message, 'success', {
+      label: 'Undo autofill',
+      onClick: () => this.undoAutofill()
+    });
+  }
+
+  /**
+   * Restore every field touched by the last autofill run, including those filled in cross-origin frames
+   */
+  async undoAutofill() {
+    // Undo puts the old values back, which is not a correction to learn from
+    this.corrections.stop();
+    const frameIds = this.history.lastRunFrames();
+    let restored = this.history.undoLastRun();
+
+    for (const frameId of frameIds) {
+      const response = await chrome.runtime.sendMessage({ type: 'SEND_TO_FRAME', frameId: frameId, message: { type: 'UNDO_FILL' } })
+        .catch(() => null);
+      restored += response?.restored || 0;
+    }
+    this.log.info(`Undo restored ${restored} fields`);
+
+    if (restored === 0) {
+      this.showNotification('Nothing to undo', 'info');
+      return false;
+    }
+    this.showNotification('Autofill undone', 'success');
+    return true;
   }
 
   // Include all the parsing and filling methods from content-autofill.js
@@ -444,7 +814,14 @@ class CrossTabAutofill {
   isFormField(element) {
     if (!element) return false;
     const tagName = element.tagName.toLowerCase();
-    return tagName === 'input' || tagName === 'textarea';
+    return tagName === 'input' || tagName === 'textarea' || RichTextEditor.isEditor(element);
+  }
+
+  /**
+   * A field's current text; rich-text editors have no value
+   */
+  fieldText(element) {
+    return RichTextEditor.isEditor(element) ? RichTextEditor.text(element) : element.value || '';
   }
 
   looksLikeStructuredData(text) {
@@ -453,62 +830,44 @@ class CrossTabAutofill {
       /patient\s+name/i,
       /age\s*:\s*\d+/i,
       /blood\s+pressure/i,
-      /chief\s+complaint/i
+      /chief\s+complaint/i,
+      /\byear[- ]old\b/i,
+      /\b(?:pulse|heart\s+rate)\b/i,
+      /\b(?:complain(?:s|ing)\s+of|present(?:s|ing)\s+with)\b/i
     ];
     return patterns.some(pattern => pattern.test(text));
   }
 
+  /**
+   * Parse transcript text into sections (shared with the other flow, see clinical-note-parser.js)
+   */
   parseStructuredText(text) {
-    const parsed = { raw: text, fields: {} };
-
-    // Balanced patterns - capture until next common field or sentence end
-    const patterns = {
-      name: /(?:pt\s+name|patient\s+name|name)[:\s]+([A-Za-z\s]+?)(?=\s+(?:age|dob|gender)|$)/i,
-      age: /(?:age)[:\s]+(\d+)/i,
-      dob: /(?:date\s+of\s+birth|dob|birth\s+date)[:\s]+([\d\s\w]+?)(?=\s+(?:presenting|gender|BP|blood\s+pressure|chief)|$)/i,
-      gender: /(?:gender|sex)[:\s]+(male|female|other)/i,
-      bloodPressure: /(?:blood\s+pressure|BP)[:\s]*(\d+[\/\s]\d+)/i,
-      heartRate: /(?:heart\s+rate|pulse|HR)[:\s]+(\d+)/i,
-      temperature: /(?:temperature|temp|T)[:\s]+([\d.]+)/i,
-      weight: /(?:weight|wt)[:\s]+([\d.]+)/i,
-      height: /(?:height|ht)[:\s]+([\d.'"]+)/i,
-      chiefComplaint: /(?:chief\s+complaint|presenting\s+complaint|CC|complaint)[:\s]+([^.]+?)(?=\s+(?:history|BP|diagnosis)|[.]|$)/i,
-      symptoms: /(?:symptoms|presenting\s+symptoms)[:\s]+([^.]+?)(?=\s+(?:BP|diagnosis|allergies)|[.]|$)/i,
-      diagnosis: /(?:diagnosis|DX)[:\s]+([^.]+?)(?=\s+(?:allergies|medication|oral)|[.]|$)/i,
-      allergies: /(?:allergies|allergy)[:\s]+([^.]+?)(?=\s+(?:medication|medical\s+history)|[.]|$)/i,
-      medications: /(?:medications|medication|meds|current\s+medications)[:\s]+([^.]+?)(?=\s+(?:medical\s+history|surgical)|[.]|$)/i,
-      medicalHistory: /(?:medical\s+history|PMH|past\s+medical\s+history)[:\s]+([^.]+?)(?=\s+(?:surgical\s+history|family\s+history)|[.]|$)/i,
-      surgicalHistory: /(?:surgical\s+history|PSH)[:\s]+([^.]+?)(?=\s+(?:family\s+history|social\s+history)|[.]|$)/i,
-      familyHistory: /(?:family\s+history|FH)[:\s]+([^.]+?)(?=\s+(?:social\s+history|assessment)|[.]|$)/i,
-      socialHistory: /(?:social\s+history|SH)[:\s]+([^.]+?)(?=\s+(?:assessment|plan)|[.]|$)/i,
-      assessment: /(?:assessment)[:\s]+([^.]+?)(?=\s+(?:plan|treatment)|[.]|$)/i,
-      plan: /(?:plan|PLAN|treatment\s+plan)[:\s]+(.+?)$/i,
-      notes: /(?:notes|additional\s+notes|comments)[:\s]+(.+?)$/i
-    };
-
-    for (const [key, pattern] of Object.entries(patterns)) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        parsed.fields[key] = match[1].trim();
-      }
-    }
-
-    return parsed;
+    return ClinicalNoteParser.parse(text);
   }
 
   detectFormFields(sourceField = null) {
     const fields = [];
     // More aggressive selector - include hidden fields, all input types
-    const inputs = document.querySelectorAll('input:not([type="submit"]):not([type="button"]), textarea, select');
+    // Includes inputs inside open shadow roots and same-origin iframes
+    const inputs = DeepDom.querySelectorAll(`input:not([type="submit"]):not([type="button"]), textarea, select, ${RichTextEditor.SELECTOR}, [role="combobox"], [role="listbox"]`);
     
-    console.log(`[Cross-Tab Autofill] Total inputs found: ${inputs.length}`);
+    this.log.debug(`Total inputs found: ${inputs.length}`);
     
     inputs.forEach((element, index) => {
       if (element === sourceField) return;
+
+      // Regions nested inside an editor belong to that editor
+      if (element.isContentEditable && !RichTextEditor.isEditor(element)) return;
+
+      // Combobox wrappers and popups are filled through the combobox's own input
+      if (AriaCombobox.isInnerPart(element)) return;
+
+      // Unit selectors are set alongside their value field, not mapped on their own
+      if (UnitConverter.isUnitSelect(element)) return;
       
       // Skip only truly disabled or readonly fields
       if (element.disabled || element.readOnly) {
-        console.log(`[Cross-Tab Autofill] Skipping disabled/readonly field:`, element.name || element.id);
+        this.log.debug(`Skipping disabled/readonly field: ${element.name || element.id}`);
         return;
       }
 
@@ -521,18 +880,18 @@ class CrossTabAutofill {
         placeholder: element.placeholder || '',
         label: this.getFieldLabel(element),
         ariaLabel: element.getAttribute('aria-label') || '',
-        value: element.value || '',
+        value: this.fieldText(element),
         required: element.required,
         readonly: element.readOnly,
         disabled: element.disabled
       };
 
       fieldInfo.identifier = this.generateFieldIdentifier(fieldInfo);
-      console.log(`[Cross-Tab Autofill] Field detected: "${fieldInfo.identifier}" (${fieldInfo.type})`);
+      this.log.debug(`Field detected (${fieldInfo.type}):`, fieldInfo.identifier);
       fields.push(fieldInfo);
     });
 
-    console.log(`[Cross-Tab Autofill] Total fields detected: ${fields.length}`);
+    this.log.debug(`Total fields detected: ${fields.length}`);
     return fields;
   }
 
@@ -558,24 +917,38 @@ class CrossTabAutofill {
   }
 
   getFieldType(element) {
+    if (AriaCombobox.isCombobox(element)) return 'combobox';
+    if (AriaCombobox.isListbox(element)) return 'listbox';
     if (element.tagName === 'TEXTAREA') return 'textarea';
     if (element.tagName === 'SELECT') return 'select';
     if (element.tagName === 'INPUT') return element.type.toLowerCase() || 'text';
+    if (RichTextEditor.isEditor(element)) return 'richtext';
     return 'unknown';
   }
 
   getFieldLabel(element) {
+    // Rich-text editors are usually labelled by a heading or caption elsewhere
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = DeepDom.rootOf(element);
+      const text = labelledBy.split(/\s+/)
+        .map(id => root.getElementById?.(id)?.textContent.trim())
+        .filter(Boolean)
+        .join(' ');
+      if (text) return text;
+    }
+
     if (element.id) {
-      const label = document.querySelector(`label[for="${element.id}"]`);
+      const label = DeepDom.rootOf(element).querySelector(`label[for="${element.id}"]`);
       if (label) return label.textContent.trim();
     }
     const parentLabel = element.closest('label');
     if (parentLabel) {
-      return parentLabel.textContent.replace(element.value, '').trim();
+      return parentLabel.textContent.replace(this.fieldText(element), '').trim();
     }
     const parent = element.parentElement;
     if (parent) {
-      const text = parent.textContent.replace(element.value, '').trim();
+      const text = parent.textContent.replace(this.fieldText(element), '').trim();
       if (text.length < 100) return text;
     }
     return '';
@@ -592,16 +965,53 @@ class CrossTabAutofill {
     return parts.join(' ').toLowerCase();
   }
 
-  mapDataToFields(parsedData, fields) {
+  mapDataToFields(parsedData, fields, profile = null) {
     const mappings = [];
     const usedFields = new Set(); // Track which fields have been used
+    const pinnedKeys = new Set();
+    const data = CompositeVitals.expand(parsedData.fields);
+
+    // Profile bindings take priority over keyword scoring
+    if (profile) {
+      this.log.debug(`Using mapping profile ${profile.name || profile.origin}`);
+
+      for (const binding of profile.bindings) {
+        const dataValue = data[binding.dataKey];
+        if (!dataValue || pinnedKeys.has(binding.dataKey)) continue;
+
+        const field = FieldMappingProfiles.resolveBinding(binding, fields);
+        if (!field || field.readonly || field.disabled || usedFields.has(field.element)) {
+          this.log.debug(`Profile binding for ${binding.dataKey} not found on page: ${binding.selector}`);
+          continue;
+        }
+
+        mappings.push({
+          field: field,
+          value: dataValue,
+          dataKey: binding.dataKey,
+          confidence: 1.0,
+          pinned: true
+        });
+        usedFields.add(field.element);
+        pinnedKeys.add(binding.dataKey);
+      }
+    }
+
+    // Blood pressure and height go to separate inputs when the form has one per part
+    const partMappings = CompositeVitals.mapParts(data, fields.filter(field => !usedFields.has(field.element)), pinnedKeys);
+    for (const mapping of partMappings) {
+      this.log.debug(`✓ Split into ${mapping.dataKey} field`);
+      mappings.push(mapping);
+      usedFields.add(mapping.field.element);
+    }
+    const splitKeys = new Set(partMappings.map(mapping => CompositeVitals.compositeOf(mapping.dataKey)));
     
     const fieldKeywords = {
       name: ['fullname', 'patient name', 'full name', 'patient_fullname', 'name'],
       age: ['age', 'patient_age'],
       dob: ['date of birth', 'dob', 'birth date', 'birthday', 'date_of_birth'],
       gender: ['gender', 'sex', 'patient_gender'],
-      bloodPressure: ['blood pressure', 'bp', 'systolic', 'diastolic'],
+      bloodPressure: ['blood pressure', 'bp'],
       heartRate: ['heart rate', 'pulse', 'hr', 'heart_rate'],
       temperature: ['temperature', 'temp', 'body_temp'],
       weight: ['weight', 'wt', 'body_weight', 'patient_weight'],
@@ -620,14 +1030,16 @@ class CrossTabAutofill {
       notes: ['notes', 'additional notes', 'comments', 'other']
     };
 
-    console.log('[Cross-Tab Autofill] Starting field matching...');
+    this.log.debug('Starting field matching...');
+
+    for (const [dataKey, dataValue] of Object.entries(data)) {
+      if (pinnedKeys.has(dataKey) || splitKeys.has(dataKey) || CompositeVitals.compositeOf(dataKey)) continue;
 
-    for (const [dataKey, dataValue] of Object.entries(parsedData.fields)) {
       const keywords = fieldKeywords[dataKey] || [dataKey];
       let bestMatch = null;
       let bestScore = 0;
 
-      console.log(`[Cross-Tab Autofill] Matching "${dataKey}": "${dataValue.substring(0, 30)}..."`);
+      this.log.debug(`Matching ${dataKey}:`, dataValue);
 
       for (const field of fields) {
         if (field.readonly || field.disabled) continue;
@@ -648,7 +1060,7 @@ class CrossTabAutofill {
       const requiredConfidence = historyFields.includes(dataKey) ? 0.6 : 0.7;
       
       if (bestMatch && bestScore >= requiredConfidence) {
-        console.log(`[Cross-Tab Autofill] Matched to field: "${bestMatch.identifier}" (confidence: ${(bestScore * 100).toFixed(0)}%)`);
+        this.log.debug(`Matched with confidence ${(bestScore * 100).toFixed(0)}% to field:`, bestMatch.identifier);
         mappings.push({
           field: bestMatch,
           value: dataValue,
@@ -657,10 +1069,20 @@ class CrossTabAutofill {
         });
         usedFields.add(bestMatch.element); // Mark as used
       } else {
-        console.log(`[Cross-Tab Autofill] ❌ No match found (best score: ${(bestScore * 100).toFixed(0)}%)`);
+        this.log.debug(`❌ No match found (best score: ${(bestScore * 100).toFixed(0)}%)`);
       }
     }
 
+
+    // Implausible vitals and demographics, and unitless weights for fields with a unit, are withheld for review
+    // rather than filled silently
+    const warnings = ClinicalValidator.validate(data);
+    for (const mapping of mappings) {
+      const warning = warnings[mapping.dataKey] || UnitConverter.unitWarning(mapping.dataKey, mapping.value, mapping.field);
+      if (!warning) continue;
+      this.log.warn(`Withholding ${mapping.dataKey}:`, warning);
+      mapping.warning = warning;
+    }
     return mappings;
   }
 
@@ -686,21 +1108,70 @@ class CrossTabAutofill {
   }
 
   async fillFields(mappings) {
-    for (const mapping of mappings) {
+    this.history.beginRun();
+    this.unmatched = [];
+    const local = mappings.filter(mapping => mapping.field.frameId === undefined);
+    for (const mapping of local) {
       try {
-        await this.fillField(mapping.field, mapping.value);
+        // List sections go into repeating rows, or one item per line into a textarea; a field picked by hand gets the value as is
+        if (!mapping.manual && await RepeatingRows.fill(this, mapping)) {
+          mapping.outcome = 'filled';
+          mapping.written = mapping.value;
+          await this.sleep(100);
+          continue;
+        }
+
+        this.history.record(mapping.field.element);
+        const prepared = UnitConverter.prepare(mapping.dataKey, mapping.value, mapping.field);
+        if (prepared.unitSelect) {
+          this.history.record(prepared.unitSelect);
+          this.fillSelectField(prepared.unitSelect, prepared.unitOption.value);
+        }
+        const value = DateNormalizer.prepare(mapping.dataKey, prepared.value, mapping.field);
+        const placed = await this.fillField(mapping.field, value);
+        // What happened to each mapping, for the audit log
+        mapping.outcome = placed ? 'filled' : 'unmatched';
+        mapping.written = placed ? value : null;
         await this.sleep(100);
       } catch (error) {
-        console.error('[Cross-Tab Autofill] Error filling field:', error);
+        mapping.outcome = 'error';
+        this.log.error('Error filling field:', error);
       }
     }
+
+    // Fields in cross-origin frames are filled by each frame's agent
+    const frameIds = [...new Set(mappings.map(mapping => mapping.field.frameId).filter(frameId => frameId !== undefined))];
+    for (const frameId of frameIds) {
+      const frameMappings = mappings.filter(mapping => mapping.field.frameId === frameId);
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'SEND_TO_FRAME',
+          frameId: frameId,
+          message: {
+            type: 'FILL_FIELDS',
+            mappings: frameMappings.map(mapping => ({ field: mapping.field.framePosition, value: mapping.value, dataKey: mapping.dataKey }))
+          }
+        });
+        if (response?.filled) this.history.recordFrame(frameId);
+        this.unmatched.push(...(response?.unmatched || []));
+        frameMappings.forEach((mapping, position) => Object.assign(mapping, response?.results?.[position] || { outcome: 'error' }));
+      } catch (error) {
+        frameMappings.forEach(mapping => { mapping.outcome = 'error'; });
+        this.log.error('Error filling frame fields:', error);
+      }
+    }
+    return this.history.endRun();
   }
 
+  /**
+   * Write one value; resolves false when a choice field has no option matching it, which is noted for the run's report
+   */
   async fillField(fieldInfo, value) {
     const element = fieldInfo.element;
     element.scrollIntoView({ behavior: 'smooth', block: 'center' });
     await this.sleep(100);
     this.highlightField(element);
+    let placed = true;
 
     switch (fieldInfo.type) {
       case 'text':
@@ -708,11 +1179,22 @@ class CrossTabAutofill {
       case 'tel':
       case 'number':
       case 'date':
+      case 'datetime-local':
+      case 'month':
       case 'textarea':
         this.fillTextInput(element, value);
         break;
+      case 'richtext':
+        RichTextEditor.fill(element, value);
+        break;
       case 'select':
-        this.fillSelectField(element, value);
+        placed = this.fillSelectField(element, value);
+        break;
+      case 'combobox':
+        placed = await AriaCombobox.fill(element, value);
+        break;
+      case 'listbox':
+        placed = AriaCombobox.fillListbox(element, value);
         break;
       case 'radio':
         this.fillRadioButton(element, value);
@@ -721,15 +1203,17 @@ class CrossTabAutofill {
         this.fillCheckbox(element, value);
         break;
     }
+
+    if (!placed) {
+      this.log.warn(`No option matches the value for a ${fieldInfo.type} field:`, { field: fieldInfo.identifier, value: value });
+      this.unmatched.push({ label: fieldInfo.label || fieldInfo.identifier, value: value });
+    }
+    return placed;
   }
 
   fillTextInput(element, value) {
     element.focus();
-    const setter = Object.getOwnPropertyDescriptor(
-      element.tagName === 'TEXTAREA' ? window.HTMLTextAreaElement.prototype : window.HTMLInputElement.prototype,
-      'value'
-    ).set;
-    setter.call(element, value);
+    DeepDom.valueSetter(element).call(element, value);
     element.dispatchEvent(new Event('input', { bubbles: true }));
     element.dispatchEvent(new Event('change', { bubbles: true }));
     element.dispatchEvent(new Event('blur', { bubbles: true }));
@@ -747,15 +1231,15 @@ class CrossTabAutofill {
         value.toLowerCase().includes(opt.text.toLowerCase())
       );
     }
-    if (matchedOption) {
-      element.value = matchedOption.value;
-      element.dispatchEvent(new Event('change', { bubbles: true }));
-    }
+    if (!matchedOption) return false;
+    element.value = matchedOption.value;
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
   }
 
   fillRadioButton(element, value) {
     const name = element.name;
-    const radioButtons = document.querySelectorAll(`input[type="radio"][name="${name}"]`);
+    const radioButtons = DeepDom.rootOf(element).querySelectorAll(`input[type="radio"][name="${name}"]`);
     for (const radio of radioButtons) {
       const label = this.getFieldLabel(radio);
       const radioValue = radio.value.toLowerCase();
@@ -790,7 +1274,10 @@ class CrossTabAutofill {
     }, 1000);
   }
 
-  showNotification(message, type = 'info') {
+  /**
+   * Show a toast; with an action it stays until the action is used or dismissed
+   */
+  showNotification(message, type = 'info', action = null) {
     const notification = document.createElement('div');
     notification.textContent = message;
     notification.style.cssText = `
@@ -808,11 +1295,34 @@ class CrossTabAutofill {
       font-weight: 500;
       animation: slideIn 0.3s ease-out;
     `;
-    document.body.appendChild(notification);
-    setTimeout(() => {
+
+    const dismiss = () => {
       notification.style.animation = 'slideOut 0.3s ease-out';
       setTimeout(() => notification.remove(), 300);
-    }, 3000);
+    };
+
+    if (action) {
+      const button = document.createElement('button');
+      button.textContent = action.label;
+      button.style.cssText = 'margin-left: 12px; padding: 4px 10px; border: 1px solid white; border-radius: 4px; background: transparent; color: white; font: inherit; cursor: pointer;';
+      button.addEventListener('click', () => {
+        dismiss();
+        action.onClick();
+      });
+
+      const close = document.createElement('button');
+      close.textContent = '×';
+      close.setAttribute('aria-label', 'Dismiss');
+      close.style.cssText = 'margin-left: 8px; border: none; background: transparent; color: white; font-size: 18px; cursor: pointer;';
+      close.addEventListener('click', dismiss);
+
+      notification.append(button, close);
+      document.body.appendChild(notification);
+      return;
+    }
+
+    document.body.appendChild(notification);
+    setTimeout(dismiss, 3000);
   }
 
   sleep(ms) {
@@ -836,4 +1346,4 @@ document.head.appendChild(style);
 
 // Initialize
 const crossTabAutofill = new CrossTabAutofill();
-console.log('[Cross-Tab Autofill] Ready!');
+crossTabAutofill.log.debug('Ready!');
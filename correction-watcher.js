@@ -0,0 +1,112 @@
+/**
+ * Correction Watcher
+ * For a while after an autofill run, watches the text fields it filled. When a filled value is cleared or cut
+ * from its field and then turns up in another one (pasted or typed), the clinician is offered to save that field
+ * as the dataKey's binding in the site profile, so later runs fill it there directly.
+ */
+
+class CorrectionWatcher {
+  static WATCH_PERIOD = 2 * 60 * 1000;
+  // Shorter values turn up in other fields by chance
+  static MIN_VALUE_LENGTH = 3;
+  // Choice fields hold an option, not text that can be moved elsewhere
+  static TEXT_TYPES = ['text', 'email', 'tel', 'number', 'textarea', 'richtext'];
+
+  /**
+   * @param {Object} host - the autofill instance; provides detectFormFields, isFormField, fieldText,
+   *   showNotification and log
+   */
+  constructor(host) {
+    this.host = host;
+    this.watched = [];
+    this.baseline = new Map();
+    this.touched = new Set();
+    this.timer = null;
+    this.inputHandler = (e) => this.check(DeepDom.eventTarget(e));
+  }
+
+  /**
+   * Start watching the fields a run filled, in place of any earlier run's
+   */
+  watch(mappings) {
+    this.stop();
+
+    this.watched = mappings
+      .filter(mapping => mapping.outcome === 'filled' && !mapping.manual && mapping.field.frameId === undefined)
+      .filter(mapping => CorrectionWatcher.TEXT_TYPES.includes(mapping.field.type))
+      .map(mapping => ({ mapping: mapping, text: this.textOf(mapping.field.element) }))
+      .filter(watched => watched.text.length >= CorrectionWatcher.MIN_VALUE_LENGTH);
+    if (this.watched.length === 0) return;
+
+    // What every field held once the run finished; a field that already had the value hasn't received it
+    this.baseline = new Map(this.host.detectFormFields().map(field => [field.element, this.textOf(field.element)]));
+    document.addEventListener('input', this.inputHandler, true);
+    this.timer = setTimeout(() => this.stop(), CorrectionWatcher.WATCH_PERIOD);
+  }
+
+  stop() {
+    document.removeEventListener('input', this.inputHandler, true);
+    clearTimeout(this.timer);
+    this.watched = [];
+    this.baseline = new Map();
+    this.touched = new Set();
+  }
+
+  /**
+   * After each edit, look for a watched value that has left its field and is now in one the clinician edited.
+   * The edits can come in either order: cut then paste, or paste then clear.
+   */
+  check(origin) {
+    const element = RichTextEditor.editorFor(origin) || origin;
+    if (!this.host.isFormField(element)) return;
+    this.touched.add(element);
+
+    for (const watched of this.watched) {
+      const source = watched.mapping.field.element;
+      if (this.textOf(source).includes(watched.text)) continue;
+
+      const destination = [...this.touched].find(candidate =>
+        candidate !== source &&
+        candidate.isConnected &&
+        this.textOf(candidate).includes(watched.text) &&
+        !(this.baseline.get(candidate) || '').includes(watched.text)
+      );
+      if (!destination) continue;
+
+      this.watched = this.watched.filter(other => other !== watched);
+      this.propose(watched.mapping, destination);
+      return;
+    }
+  }
+
+  /**
+   * Offer to remember the field a value was moved to; it needs an id or name for the binding to find it again
+   */
+  propose(mapping, destination) {
+    const field = this.host.detectFormFields().find(candidate => candidate.element === destination);
+    const selector = field && (field.id || field.name);
+    if (!selector) {
+      this.host.log.debug(`${mapping.dataKey} was moved to a field with no id or name; not offering a binding`);
+      return;
+    }
+
+    this.host.showNotification(`You moved ${mapping.dataKey} to "${field.label || selector}". Fill it there on this site from now on?`, 'info', {
+      label: 'Remember',
+      onClick: () => this.save(mapping.dataKey, selector)
+    });
+  }
+
+  async save(dataKey, selector) {
+    try {
+      await FieldMappingProfiles.addBinding(window.location, { dataKey: dataKey, selector: selector });
+      this.host.showNotification(`Saved: ${dataKey} will fill ${selector} on this site`, 'success');
+    } catch (error) {
+      this.host.log.error('Could not save the corrected binding:', error);
+      this.host.showNotification('Could not save the binding', 'error');
+    }
+  }
+
+  textOf(element) {
+    return this.host.fieldText(element).replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Date Normalizer
+ * Reads spoken and written dates ("March 15 1992", "15/03/1992", "the fifteenth of March nineteen ninety two"),
+ * formats them for the target input and checks a date of birth against the stated age
+ */
+
+class DateNormalizer {
+  static MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+  static DATE_INPUT_TYPES = ['date', 'datetime-local', 'month'];
+
+  /**
+   * Possible yyyy-mm-dd readings of a written date (numeric dates can be day- or month-first)
+   */
+  static candidates(text) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const iso = (y, m, d) => {
+      const date = new Date(Date.UTC(y, m - 1, d));
+      return date.getUTCFullYear() === +y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d
+        ? `${y}-${pad(m)}-${pad(d)}`
+        : null;
+    };
+    const monthIndex = (word) => DateNormalizer.MONTHS.indexOf(word.substring(0, 3).toLowerCase()) + 1;
+    const fullYear = (year) => {
+      if (year.length === 4) return +year;
+      const pivot = new Date().getFullYear() % 100;
+      return +year + (+year > pivot ? 1900 : 2000);
+    };
+    const value = NarrativeExtractor.normalizeNumbers(text.trim()).text;
+    let match;
+
+    if ((match = value.match(/(\d{4})[\/.\-](\d{1,2})[\/.\-](\d{1,2})/))) {
+      return [iso(+match[1], +match[2], +match[3])].filter(Boolean);
+    }
+    if ((match = value.match(/(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{4}|\d{2})\b/))) {
+      const year = fullYear(match[3]);
+      return [...new Set([iso(year, +match[2], +match[1]), iso(year, +match[1], +match[2])].filter(Boolean))];
+    }
+    if ((match = value.match(/(\d{1,2})(?:st|nd|rd|th)?[\s\-]+(?:of[\s\-]+)?([a-z]{3,})\.?,?[\s\-]+(\d{4}|\d{2})\b/i)) && monthIndex(match[2])) {
+      return [iso(fullYear(match[3]), monthIndex(match[2]), +match[1])].filter(Boolean);
+    }
+    if ((match = value.match(/([a-z]{3,})\.?[\s\-]+(?:the[\s\-]+)?(\d{1,2})(?:st|nd|rd|th)?,?[\s\-]+(\d{4}|\d{2})\b/i)) && monthIndex(match[1])) {
+      return [iso(fullYear(match[3]), monthIndex(match[1]), +match[2])].filter(Boolean);
+    }
+    return [];
+  }
+
+  /**
+   * One yyyy-mm-dd reading; ambiguous numeric dates follow the browser locale's day/month order
+   */
+  static parse(text) {
+    const candidates = DateNormalizer.candidates(text);
+    if (candidates.length === 0) return null;
+    if (candidates.length === 1) return candidates[0];
+
+    // candidates() lists the day-first reading first
+    return DateNormalizer.monthFirstLocale() ? candidates[1] : candidates[0];
+  }
+
+  static monthFirstLocale() {
+    return /^en-(?:US|PH|CA)$|^en$/i.test(navigator.language || '');
+  }
+
+  /**
+   * Date in the format the field takes: ISO for date inputs, otherwise the order shown by its placeholder or pattern.
+   * Returns the value unchanged when it isn't a date or the field gives no format.
+   */
+  static prepare(dataKey, value, fieldInfo) {
+    const isDateInput = DateNormalizer.DATE_INPUT_TYPES.includes(fieldInfo.type);
+    if (dataKey !== 'dob' && !isDateInput) return value;
+
+    const iso = DateNormalizer.parse(value);
+    if (!iso) return value;
+
+    switch (fieldInfo.type) {
+      case 'date': return iso;
+      case 'datetime-local': return `${iso}T00:00`;
+      case 'month': return iso.substring(0, 7);
+    }
+
+    const format = DateNormalizer.fieldFormat(fieldInfo);
+    return format ? DateNormalizer.format(iso, format) : value;
+  }
+
+  /**
+   * Format like "mm/dd/yyyy" from the placeholder or label, or one implied by the pattern attribute
+   */
+  static fieldFormat(fieldInfo) {
+    const hint = [fieldInfo.placeholder, fieldInfo.label, fieldInfo.ariaLabel].join(' ');
+    const written = hint.match(/\b(dd|mm|yyyy|yy)([\/.\- ])(dd|mm)\2(yyyy|yy|dd)\b/i);
+    if (written) return written[0].toLowerCase();
+
+    // e.g. pattern="\d{4}-\d{2}-\d{2}" or "\d{2}/\d{2}/\d{4}"; the latter's order follows the locale
+    const pattern = (fieldInfo.element.getAttribute('pattern') || '').replace(/\\/g, '');
+    let match;
+    if ((match = pattern.match(/^\^?d\{4\}([\/.\-])d\{2\}\1d\{2\}\$?$/))) {
+      return `yyyy${match[1]}mm${match[1]}dd`;
+    }
+    if ((match = pattern.match(/^\^?d\{(?:1,)?2\}([\/.\-])d\{(?:1,)?2\}\1d\{4\}\$?$/))) {
+      const separator = match[1];
+      return DateNormalizer.monthFirstLocale() ? `mm${separator}dd${separator}yyyy` : `dd${separator}mm${separator}yyyy`;
+    }
+    return null;
+  }
+
+  static format(iso, format) {
+    const [year, month, day] = iso.split('-');
+    return format
+      .replace('yyyy', year)
+      .replace('yy', year.substring(2))
+      .replace('mm', month)
+      .replace('dd', day);
+  }
+
+  /**
+   * Age in whole years on a given day
+   */
+  static ageOn(iso, today = new Date()) {
+    const [year, month, day] = iso.split('-').map(Number);
+    let age = today.getFullYear() - year;
+    if (today.getMonth() + 1 < month || (today.getMonth() + 1 === month && today.getDate() < day)) {
+      age--;
+    }
+    return age;
+  }
+
+  /**
+   * Warning when the date of birth doesn't give the stated age, or null if they agree (or either is missing)
+   */
+  static checkAge(dob, age) {
+    if (!dob || !age) return null;
+
+    const stated = parseInt(age, 10);
+    const candidates = DateNormalizer.candidates(dob);
+    if (isNaN(stated) || candidates.length === 0) return null;
+    if (candidates.some(iso => DateNormalizer.ageOn(iso) === stated)) return null;
+
+    const actual = DateNormalizer.ageOn(DateNormalizer.parse(dob));
+    return `Date of birth ${dob} gives age ${actual}, but the transcript says ${stated}`;
+  }
+}
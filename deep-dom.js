@@ -0,0 +1,80 @@
+/**
+ * Deep DOM
+ * Queries that also reach into open shadow roots and same-origin iframes, which plain document queries can't see.
+ * Cross-origin frames are out of reach here; they run their own copy of the content script (see frame agents
+ * in content-cross-tab.js).
+ */
+
+class DeepDom {
+  /**
+   * Every match under root, including inside open shadow roots and accessible frame documents
+   */
+  static querySelectorAll(selector, root = document) {
+    const results = [];
+    const visit = (node) => {
+      results.push(...node.querySelectorAll(selector));
+      for (const element of node.querySelectorAll('*')) {
+        if (element.shadowRoot) visit(element.shadowRoot);
+        if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+          const frameDocument = DeepDom.frameDocument(element);
+          if (frameDocument) visit(frameDocument);
+        }
+      }
+    };
+    visit(root);
+    return results;
+  }
+
+  static querySelector(selector, root = document) {
+    return DeepDom.querySelectorAll(selector, root)[0] || null;
+  }
+
+  /**
+   * A frame's document, or null when it is cross-origin
+   */
+  static frameDocument(frame) {
+    try {
+      return frame.contentDocument;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * The document or shadow root an element lives in, for lookups like label[for] and radio groups
+   */
+  static rootOf(element) {
+    return element.getRootNode ? element.getRootNode() : document;
+  }
+
+  /**
+   * The native value setter from the element's own window, so frameworks in an iframe see the change
+   */
+  static valueSetter(element) {
+    const view = element.ownerDocument.defaultView || window;
+    const prototype = element.tagName === 'TEXTAREA' ? view.HTMLTextAreaElement.prototype : view.HTMLInputElement.prototype;
+    return Object.getOwnPropertyDescriptor(prototype, 'value').set;
+  }
+
+  /**
+   * The element an event really started on; events from inside a shadow root are retargeted to its host
+   */
+  static eventTarget(event) {
+    return event.composedPath ? event.composedPath()[0] : event.target;
+  }
+
+  /**
+   * Whether the top frame can reach this frame's document by walking down through iframes
+   */
+  static isReachableFromTop() {
+    try {
+      for (let view = window; view !== window.top; view = view.parent) {
+        // Throws when the parent is cross-origin
+        void view.parent.document;
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
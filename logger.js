@@ -0,0 +1,94 @@
+/**
+ * Logger
+ * Levelled console logging for the content scripts, background service and extension pages.
+ * Debug output only shows when debug logging is on in the settings. Values passed alongside a message are
+ * redacted (text reduced to its length, numbers and dates hidden, objects keep only their keys) unless verbose
+ * logging is on too, so messages should carry only safe details such as counts and dataKeys.
+ */
+
+class Logger {
+  static LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+  // Quiet and redacted until the stored settings have loaded
+  static options = { debugLogging: false, verboseLogging: false };
+
+  static MONTH_DATE = /\b\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?\s+\d{2,4}\b|\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{2,4}\b/gi;
+
+  static ready = Logger.load();
+
+  static async load() {
+    try {
+      const { debugLogging, verboseLogging } = await AutofillSettings.get();
+      Logger.options = { debugLogging, verboseLogging };
+
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes.settings) return;
+        const settings = changes.settings.newValue || {};
+        Logger.options = { debugLogging: !!settings.debugLogging, verboseLogging: !!settings.verboseLogging };
+      });
+    } catch (error) {
+      // Storage is gone once the extension reloads under an open page; keep the safe defaults
+    }
+  }
+
+  /**
+   * @param {string} scope - shown in brackets before every message, e.g. 'Cross-Tab Autofill'
+   */
+  constructor(scope) {
+    this.scope = `[${scope}]`;
+  }
+
+  debug(message, ...values) {
+    this.write('debug', message, values);
+  }
+
+  info(message, ...values) {
+    this.write('info', message, values);
+  }
+
+  warn(message, ...values) {
+    this.write('warn', message, values);
+  }
+
+  error(message, ...values) {
+    this.write('error', message, values);
+  }
+
+  write(level, message, values) {
+    const threshold = Logger.options.debugLogging ? 'debug' : 'info';
+    if (Logger.LEVELS[level] < Logger.LEVELS[threshold]) return;
+
+    const verbose = Logger.options.verboseLogging;
+    const text = verbose ? message : Logger.scrub(message);
+    const shown = verbose ? values : values.map(value => Logger.redact(value));
+    const method = { debug: 'log', info: 'log', warn: 'warn', error: 'error' }[level];
+    console[method](`${this.scope} ${text}`, ...shown);
+  }
+
+  /**
+   * Safety net for values written into a message: quoted text, dates and long numbers (years, MRNs, phones)
+   */
+  static scrub(message) {
+    return String(message)
+      .replace(/"[^"]*"/g, '"[redacted]"')
+      .replace(/\b\d{1,4}[\/.\-]\d{1,2}[\/.\-]\d{1,4}\b/g, '[date]')
+      .replace(Logger.MONTH_DATE, '[date]')
+      .replace(/\d{4,}/g, '[number]');
+  }
+
+  static redact(value, depth = 0) {
+    if (value === null || value === undefined || typeof value === 'boolean') return value;
+    // Stack traces are about the code, not the patient
+    if (value instanceof Error) return value;
+    if (typeof value === 'string') return value ? `[redacted: ${value.length} chars]` : value;
+    if (typeof value === 'number' || typeof value === 'bigint') return '[number]';
+    if (value instanceof Date) return '[date]';
+    if (typeof Element !== 'undefined' && value instanceof Element) return `<${value.tagName.toLowerCase()}>`;
+    if (Array.isArray(value)) return value.map(item => Logger.redact(item, depth + 1));
+    if (typeof value === 'object') {
+      if (depth >= 3) return '[object]';
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, Logger.redact(item, depth + 1)]));
+    }
+    return `[${typeof value}]`;
+  }
+}
@@ -0,0 +1,432 @@
+/**
+ * Narrative Extractor
+ * Finds demographics, vitals and clinical sections in free dictation without "Label: value" headings,
+ * e.g. "Jane is a thirty-two year old female, blood pressure one eighteen over seventy six, pulse sixty eight"
+ *
+ * Returns the same { raw, fields, sections } structure as ClinicalNoteParser; offsets point into the raw text.
+ */
+
+class NarrativeExtractor {
+  static UNITS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9
+  };
+
+  static TEENS = {
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+  };
+
+  static TENS = {
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+  };
+
+  static ORDINALS = {
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+    tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15, sixteenth: 16,
+    seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30
+  };
+
+  // Where a clinical section starts; keepCue sections include the cue words in the value,
+  // ownsSentence cues ("Her mother has...") take the rest of their sentence
+  static CUES = [
+    { key: 'chiefComplaint', pattern: /\b(?:chief complaint (?:is|of)|present(?:s|ing) (?:today )?with|complain(?:s|ing) of|here (?:today )?(?:for|with)|came in (?:today )?(?:for|with)|reason for (?:the |today's )?visit is)\s*/gi },
+    { key: 'symptoms', pattern: /\b(?:symptoms (?:include|are)|(?:she|he|patient|they) (?:reports|describes))\s*/gi },
+    { key: 'diagnosis', pattern: /\b(?:(?:working |primary )?diagnosis (?:is|of)|diagnosed with|impression is)\s*/gi },
+    { key: 'allergies', pattern: /\b(?:allergic to|allerg(?:y|ies) (?:to|include|are))\s*/gi },
+    { key: 'allergies', pattern: /\bno known (?:drug )?allergies\b/gi, keepCue: true },
+    { key: 'medications', pattern: /\b(?:(?:current )?medications? (?:include|are|is)|(?:currently |is |she is |he is )?(?:taking|takes))\s*/gi },
+    { key: 'medicalHistory', pattern: /\b(?:past medical history (?:is significant for|of|includes?|is)|(?:has|with) an? (?:past |prior )?(?:medical )?history of)\s*/gi },
+    { key: 'medicalHistory', pattern: /(?:^|(?<=[.!?\n]\s*))history of\s*/gi },
+    { key: 'surgicalHistory', pattern: /\b(?:surgical history (?:is significant for|of|includes?|is)|status post|underwent|had (?:an? )?(?=\w+(?:ectomy|otomy|ostomy|plasty)\b))\s*/gi },
+    { key: 'familyHistory', pattern: /\bfamily history (?:is significant for|of|includes?|is)\s*/gi },
+    { key: 'familyHistory', pattern: /\b(?:(?:her|his|the patient's) )?(?:mother|father|sister|brother|parents?|grandmother|grandfather) (?:has|had|have|with)\b/gi, keepCue: true, ownsSentence: true },
+    { key: 'socialHistory', pattern: /\bsocial history (?:is|includes?)\s*/gi },
+    { key: 'socialHistory', pattern: /\b(?:(?:she|he|patient) (?:is an? )?(?:non-?smoker|smokes|drinks|denies (?:smoking|alcohol|tobacco)|works as)|non-?smoker)\b/gi, keepCue: true, ownsSentence: true },
+    { key: 'assessment', pattern: /\b(?:(?:my )?assessment is|in summary,?)\s*/gi },
+    { key: 'plan', pattern: /\b(?:(?:the |my )?plan (?:is|will be) (?:to )?)\s*/gi },
+    { key: 'plan', pattern: /\b(?:we will|I will|I'll|will (?=start|prescribe|continue|order|refer)|recommend(?:ed)?|prescrib(?:e|ed)|follow[- ]up)\b/gi, keepCue: true }
+  ];
+
+  // Capitalised words that start "X is a 32 year old" sentences without being a name, including the clinician's
+  // own title or role ("This is Dr. Adams dictating")
+  static NOT_NAMES = new Set([
+    'she', 'he', 'they', 'this', 'that', 'it', 'who', 'the', 'our', 'my', 'your', 'her', 'his', 'their',
+    'patient', 'client', 'child', 'baby', 'infant', 'today', 'here', 'there',
+    'dr', 'doctor', 'mr', 'mrs', 'ms', 'miss', 'nurse', 'practitioner', 'physician', 'provider', 'clinician'
+  ]);
+
+  // A patient's title before their name, skipped rather than taken as part of it
+  static TITLE = "(?:(?:Mr|Mrs|Ms|Miss|Mx)\\.?\\s+)?";
+
+  // Sections that run on over following sentences until another section starts
+  static CONTINUING = ['symptoms', 'medicalHistory', 'familyHistory', 'socialHistory', 'assessment', 'plan'];
+
+  /**
+   * Extract fields from narrative dictation
+   */
+  static extract(text) {
+    const parsed = { raw: text, fields: {}, sections: {} };
+    const normalized = NarrativeExtractor.normalizeNumbers(text);
+    const spoken = normalized.text;
+
+    // Demographics and vitals; their spans also end any clinical section they interrupt
+    const stops = [];
+    for (const { key, value, start, end } of NarrativeExtractor.findFacts(spoken)) {
+      stops.push({ start, end });
+      if (parsed.fields[key]) continue;
+
+      parsed.fields[key] = value;
+      parsed.sections[key] = {
+        heading: null,
+        headingStart: normalized.toRaw(start, false),
+        start: normalized.toRaw(start, false),
+        end: normalized.toRaw(end, true)
+      };
+    }
+
+    for (const section of NarrativeExtractor.findSections(spoken, stops)) {
+      if (parsed.fields[section.key]) continue;
+
+      const start = normalized.toRaw(section.start, false);
+      const end = normalized.toRaw(section.end, true);
+      const value = NarrativeExtractor.cleanValue(text.substring(start, end));
+      if (!value) continue;
+
+      parsed.fields[section.key] = value;
+      parsed.sections[section.key] = {
+        heading: section.cue,
+        headingStart: normalized.toRaw(section.cueStart, false),
+        start: start + text.substring(start, end).indexOf(value),
+        end: start + text.substring(start, end).indexOf(value) + value.length
+      };
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Demographics and vitals with their spans in the number-normalized text
+   */
+  static findFacts(text) {
+    const facts = [];
+    const add = (key, value, match) => {
+      facts.push({ key, value, start: match.index, end: match.index + match[0].length });
+    };
+    let match;
+
+    // "Jane Smith is a 32 year old female", "patient's name is Jane Smith", "dictating on Mrs. Jane Smith";
+    // not "She is a 32 year old female" or "This is Dr. Adams dictating"
+    const isName = (words) => !words.split(' ').some(word => NarrativeExtractor.NOT_NAMES.has(word.toLowerCase()));
+    const title = NarrativeExtractor.TITLE;
+    const name = "([A-Z][a-z'-]+(?: [A-Z][a-z'-]+)*)(?![a-z'-]| [A-Z])";
+    const named = [...text.matchAll(new RegExp(`(?:^|(?<=[.!?\\n]\\s*))(?<!\\bDr\\.\\s*)${title}${name} is an? \\d{1,3}[- ]?(?:year|yr)s?[- ]?old`, 'g'))]
+      .find(candidate => isName(candidate[1]));
+    const introduced = [...text.matchAll(new RegExp(
+      `\\b(?:[Pp]atient(?:'s)? name is|[Pp]atient is|[Ss]eeing|[Tt]his is|[Dd]ictat(?:ing|ion) (?:on|for))\\s+${title}${name}` +
+      // "This is Adams dictating" is the clinician
+      '(?!\\s+(?:dictating|speaking|calling)\\b)',
+      'g'
+    ))].find(candidate => isName(candidate[1]));
+    if (named) {
+      const start = named.index + named[0].indexOf(named[1]);
+      add('name', named[1], { index: start, 0: named[1] });
+    } else if (introduced) {
+      add('name', introduced[1], introduced);
+    }
+
+    if ((match = text.match(/\b(\d{1,3})[- ]?(?:year|yr)s?[- ]?old(?:\s+(male|female|man|woman|boy|girl|gentleman|lady))?/i))) {
+      add('age', match[1], match);
+      if (match[2]) {
+        add('gender', /^(?:male|man|boy|gentleman)$/i.test(match[2]) ? 'male' : 'female', match);
+      }
+    } else if ((match = text.match(/(?<!(?:since|at|by|from|until)\s)\b(?:age|aged)\s+(?:is\s+)?(\d{1,3})\b/i))) {
+      add('age', match[1], match);
+    }
+
+    if (!facts.some(fact => fact.key === 'gender') &&
+        (match = text.match(/\b(?:gender|sex)\s+(?:is\s+)?(male|female)\b|\b(male|female)\b/i))) {
+      add('gender', (match[1] || match[2]).toLowerCase(), match);
+    }
+
+    const month = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+    const datePattern = new RegExp(
+      `\\b(?:born(?: on)?|date of birth(?: is)?|d\\.?o\\.?b\\.?(?: is)?)\\s+(?:the\\s+)?` +
+      `(${month}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${month},?\\s+\\d{4}|\\d{1,4}[\\/.\\-]\\d{1,2}[\\/.\\-]\\d{1,4})`,
+      'i'
+    );
+    if ((match = text.match(datePattern))) {
+      add('dob', match[1], match);
+    }
+
+    if ((match = text.match(/\b(?:blood pressure|b\.?p\.?)\s*(?:is|was|of|:)?\s*(\d{2,3})\s*(?:\/|over)\s*(\d{2,3})/i))) {
+      add('bloodPressure', `${match[1]}/${match[2]}`, match);
+    }
+
+    for (const part of ['systolic', 'diastolic']) {
+      if ((match = text.match(new RegExp(`\\b${part}(?: blood pressure| bp)?\\s*(?:is|was|of|:)?\\s*(\\d{2,3})`, 'i')))) {
+        add(part, match[1], match);
+      }
+    }
+
+    if ((match = text.match(/\b(?:heart rate|pulse(?: rate)?|h\.?r\.?)\s*(?:is|was|of|:)?\s*(\d{2,3})/i))) {
+      add('heartRate', match[1], match);
+    }
+
+    if ((match = text.match(/\b(?:temperature|temp)\s*(?:is|was|of|:)?\s*(\d{2,3}(?:\.\d+)?)(?:\s*(?:degrees?\s*)?(fahrenheit|celsius|centigrade)\b)?/i))) {
+      add('temperature', match[2] ? `${match[1]} ${/^f/i.test(match[2]) ? '°F' : '°C'}` : match[1], match);
+    }
+
+    if ((match = text.match(/\b(?:weight|weighs|weighing)\s*(?:is|was|of|:)?\s*(\d{1,3}(?:\.\d+)?)(?:\s*(kilograms?|kilos?|kgs?|pounds?|lbs?)\b)?/i))) {
+      add('weight', match[2] ? `${match[1]} ${/^k/i.test(match[2]) ? 'kg' : 'lb'}` : match[1], match);
+    }
+
+    if ((match = text.match(/\b(?:height|is|stands)\s*(?:is|of|:)?\s*(\d)\s*(?:feet|foot|ft|')\s*(?:(\d{1,2})\s*(?:inches|inch|in|")?)?/i))) {
+      add('height', match[2] ? `${match[1]}'${match[2]}"` : `${match[1]}'`, match);
+    } else if ((match = text.match(/\b(?:height|is|stands)\s*(?:is|of|:)?\s*(\d{2,3}(?:\.\d+)?)\s*(?:centimet(?:er|re)s?|cm)\b/i))) {
+      add('height', `${match[1]} cm`, match);
+    }
+
+    return facts;
+  }
+
+  /**
+   * Clinical sections: from a cue to the next cue or fact, ending at the sentence unless the section runs on
+   */
+  static findSections(text, stops) {
+    const sentenceEnds = [];
+    const sentencePattern = /[.!?](?=\s|$)|\n/g;
+    let match;
+    while ((match = sentencePattern.exec(text)) !== null) {
+      sentenceEnds.push(match.index + 1);
+    }
+    sentenceEnds.push(text.length);
+    const sentenceEndAfter = (position) => sentenceEnds.find(end => end > position);
+    const sentenceStartOf = (position) => {
+      const previous = sentenceEnds.filter(end => end <= position);
+      return previous.length ? previous[previous.length - 1] : 0;
+    };
+
+    const markers = [];
+    for (const cue of NarrativeExtractor.CUES) {
+      cue.pattern.lastIndex = 0;
+      while ((match = cue.pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          cue.pattern.lastIndex++;
+          continue;
+        }
+        markers.push({
+          key: cue.key,
+          cue: match[0].trim(),
+          cueStart: match.index,
+          start: cue.keepCue ? match.index : match.index + match[0].length,
+          keepCue: !!cue.keepCue,
+          ownsSentence: !!cue.ownsSentence
+        });
+      }
+    }
+    markers.sort((a, b) => a.cueStart - b.cueStart);
+
+    // Overlapping cues: the earlier, longer one wins; a repeated cue continues the section it is already in
+    const accepted = [];
+    for (const marker of markers) {
+      const previous = accepted[accepted.length - 1];
+      if (previous && marker.cueStart < previous.start) continue;
+      if (previous && previous.key === marker.key) continue;
+      if (previous && previous.ownsSentence &&
+          sentenceStartOf(marker.cueStart) === sentenceStartOf(previous.cueStart)) continue;
+      accepted.push(marker);
+    }
+
+    const boundaries = [
+      ...accepted.map(marker => marker.cueStart),
+      ...stops.map(stop => stop.start)
+    ].sort((a, b) => a - b);
+    const nextBoundary = (position) => boundaries.find(boundary => boundary > position) ?? text.length;
+
+    const sections = [];
+    for (const marker of accepted) {
+      const limit = nextBoundary(marker.start);
+      const sentenceEnd = sentenceEndAfter(marker.start);
+      const end = NarrativeExtractor.CONTINUING.includes(marker.key) ? limit : Math.min(limit, sentenceEnd);
+      sections.push({ ...marker, end });
+
+      // Sentences describing the complaint further become the symptoms
+      if (marker.key === 'chiefComplaint' && sentenceEnd < limit) {
+        sections.push({ key: 'symptoms', cue: null, cueStart: sentenceEnd, start: sentenceEnd, end: limit });
+      }
+    }
+
+    return sections;
+  }
+
+  static cleanValue(value) {
+    let cleaned = value
+      .replace(/^[\s,;:\-–—]+/, '')
+      .replace(/^(?:and|but|with|of|is|to)\s+/i, '')
+      .replace(/[\s,;:\-–—]+$/, '')
+      .replace(/\s+(?:and|but|with)$/i, '');
+
+    // A one-sentence value doesn't keep its full stop
+    if (/^[^.!?]*\.$/.test(cleaned)) {
+      cleaned = cleaned.slice(0, -1);
+    }
+    return cleaned;
+  }
+
+  /**
+   * Turn spoken numbers into digits ("one eighteen" -> 118, "ninety eight point four" -> 98.4,
+   * "nineteen ninety two" -> 1992, "fifteenth" -> 15); toRaw() maps offsets back to the original text
+   */
+  static normalizeNumbers(text) {
+    const words = [];
+    const wordPattern = /[A-Za-z]+/g;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+      words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+
+    // Group consecutive number words joined only by spaces, hyphens or "and"/"point"
+    const runs = [];
+    let run = null;
+    for (let i = 0; i < words.length; i++) {
+      const { word } = words[i];
+      const isNumberWord = NarrativeExtractor.numberWordValue(word) !== null;
+      const gap = run ? text.substring(words[i - 1].end, words[i].start) : '';
+      const joined = run && /^[\s-]*$/.test(gap) && !run.closed;
+
+      if (isNumberWord) {
+        if (!joined) {
+          run = { words: [], closed: false };
+          runs.push(run);
+        }
+        run.words.push(words[i]);
+        if (NarrativeExtractor.ORDINALS[word] !== undefined) run.closed = true;
+      } else if (joined && (word === 'and' || word === 'point') && words[i + 1] &&
+                 NarrativeExtractor.numberWordValue(words[i + 1].word) !== null &&
+                 /^[\s-]*$/.test(text.substring(words[i].end, words[i + 1].start))) {
+        run.words.push(words[i]);
+      } else {
+        run = null;
+      }
+    }
+
+    const segments = [];
+    let output = '';
+    let rawPosition = 0;
+    for (const { words: runWords } of runs) {
+      const digits = NarrativeExtractor.runToDigits(runWords.map(w => w.word));
+      if (digits === null) continue;
+
+      const rawStart = runWords[0].start;
+      const rawEnd = runWords[runWords.length - 1].end;
+      segments.push({ normStart: output.length, rawStart: rawPosition, length: rawStart - rawPosition, replaced: false });
+      output += text.substring(rawPosition, rawStart);
+      segments.push({ normStart: output.length, rawStart, rawEnd, normLength: digits.length, replaced: true });
+      output += digits;
+      rawPosition = rawEnd;
+    }
+    segments.push({ normStart: output.length, rawStart: rawPosition, length: text.length - rawPosition, replaced: false });
+    output += text.substring(rawPosition);
+
+    const toRaw = (position, isEnd) => {
+      for (const segment of segments) {
+        const length = segment.replaced ? segment.normLength : segment.length;
+        const inside = isEnd
+          ? position > segment.normStart && position <= segment.normStart + length
+          : position >= segment.normStart && position < segment.normStart + length;
+        if (!inside) continue;
+        if (segment.replaced) return isEnd ? segment.rawEnd : segment.rawStart;
+        return segment.rawStart + (position - segment.normStart);
+      }
+      return isEnd ? text.length : 0;
+    };
+
+    return { text: output, toRaw };
+  }
+
+  static numberWordValue(word) {
+    const { UNITS, TEENS, TENS, ORDINALS } = NarrativeExtractor;
+    if (word in UNITS) return UNITS[word];
+    if (word in TEENS) return TEENS[word];
+    if (word in TENS) return TENS[word];
+    if (word in ORDINALS) return ORDINALS[word];
+    if (word === 'hundred' || word === 'thousand') return 0;
+    return null;
+  }
+
+  /**
+   * Digits for one run of number words, or null if it doesn't read as a number
+   */
+  static runToDigits(runWords) {
+    const pointIndex = runWords.indexOf('point');
+    const integerWords = (pointIndex === -1 ? runWords : runWords.slice(0, pointIndex)).filter(word => word !== 'and');
+    const decimalWords = pointIndex === -1 ? [] : runWords.slice(pointIndex + 1);
+
+    const groups = NarrativeExtractor.wordsToGroups(integerWords);
+    if (!groups || groups.length === 0) return null;
+
+    // "one eighteen" -> 118, "nineteen ninety two" -> 1992: a short number followed by two-digit numbers
+    let integer;
+    if (groups.length === 1) {
+      integer = String(groups[0]);
+    } else if (groups[0] >= 1 && groups[0] <= 99 && groups.slice(1).every(group => group >= 10 && group <= 99)) {
+      integer = groups.join('');
+    } else {
+      integer = groups.join(' ');
+    }
+
+    if (decimalWords.length === 0) return integer;
+
+    const decimals = decimalWords.map(word => NarrativeExtractor.UNITS[word]);
+    if (decimals.some(digit => digit === undefined)) return integer;
+    return `${integer}.${decimals.join('')}`;
+  }
+
+  /**
+   * Split number words into numbers ("one eighteen" -> [1, 18], "one hundred eighteen" -> [118])
+   */
+  static wordsToGroups(words) {
+    const { UNITS, TEENS, TENS, ORDINALS } = NarrativeExtractor;
+    const groups = [];
+    let total = 0;
+    let current = null;
+    let last = null;
+
+    const close = () => {
+      if (current !== null || total > 0) groups.push(total + (current || 0));
+      total = 0;
+      current = null;
+      last = null;
+    };
+
+    for (const word of words) {
+      if (word === 'hundred') {
+        if (current === null || current >= 100) return null;
+        current *= 100;
+        last = 'hundred';
+      } else if (word === 'thousand') {
+        if (current === null) return null;
+        total += current * 1000;
+        current = null;
+        last = 'thousand';
+      } else if (word in TENS) {
+        if (current !== null && last !== 'hundred') close();
+        current = (current || 0) + TENS[word];
+        last = 'tens';
+      } else if (word in TEENS) {
+        if (current !== null && last !== 'hundred') close();
+        current = (current || 0) + TEENS[word];
+        last = 'teens';
+      } else {
+        const value = word in UNITS ? UNITS[word] : ORDINALS[word];
+        const continues = last === 'hundred' || last === 'thousand' || (last === 'tens' && value < 10);
+        if (current !== null && !continues) close();
+        current = (current || 0) + value;
+        last = value < 10 ? 'units' : 'tens';
+      }
+    }
+    close();
+
+    return groups;
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Options page for EMR Smart Autofill
+ */
+
+class OptionsPage {
+  static fieldCounter = 0;
+
+  constructor() {
+    this.statusElement = document.getElementById('status');
+    this.log = new Logger('Options');
+    this.init();
+  }
+
+  async init() {
+    try {
+      const settings = await AutofillSettings.get();
+      this.initReviewSettings(settings);
+      this.initAuditSettings(settings);
+      this.initLoggingSettings(settings);
+      this.initPatientBanner(settings);
+      this.initSources(settings);
+      this.initProfiles(settings);
+    } catch (error) {
+      this.log.error('Failed to load settings:', error);
+      this.showStatus('Could not load settings', true);
+    }
+  }
+
+  /**
+   * Review panel mode and threshold
+   */
+  initReviewSettings(settings) {
+    const reviewMode = document.getElementById('reviewMode');
+    const threshold = document.getElementById('lowConfidenceThreshold');
+
+    reviewMode.value = settings.reviewMode;
+    threshold.value = Math.round(settings.lowConfidenceThreshold * 100);
+
+    reviewMode.addEventListener('change', () => {
+      this.save({ reviewMode: reviewMode.value });
+    });
+
+    threshold.addEventListener('change', () => {
+      const percent = Math.min(100, Math.max(0, Number(threshold.value) || 0));
+      threshold.value = percent;
+      this.save({ lowConfidenceThreshold: percent / 100 });
+    });
+  }
+
+  /**
+   * What the audit log keeps about field values
+   */
+  initAuditSettings(settings) {
+    const valueHashes = document.getElementById('auditValueHashes');
+    valueHashes.checked = settings.auditValueHashes;
+    valueHashes.addEventListener('change', () => {
+      this.save({ auditValueHashes: valueHashes.checked });
+    });
+  }
+
+  /**
+   * Debug and verbose console logging
+   */
+  initLoggingSettings(settings) {
+    for (const key of ['debugLogging', 'verboseLogging']) {
+      const checkbox = document.getElementById(key);
+      checkbox.checked = settings[key];
+      checkbox.addEventListener('change', () => {
+        this.save({ [key]: checkbox.checked });
+      });
+    }
+  }
+
+  /**
+   * Selectors for the chart's patient banner
+   */
+  initPatientBanner(settings) {
+    const inputs = {
+      nameSelector: document.getElementById('bannerNameSelector'),
+      dobSelector: document.getElementById('bannerDobSelector'),
+      mrnSelector: document.getElementById('bannerMrnSelector')
+    };
+
+    for (const [key, input] of Object.entries(inputs)) {
+      input.value = settings.patientBanner[key] || '';
+      input.addEventListener('change', () => {
+        const patientBanner = {};
+        for (const [bannerKey, bannerInput] of Object.entries(inputs)) {
+          patientBanner[bannerKey] = bannerInput.value.trim();
+        }
+        this.save({ patientBanner });
+      });
+    }
+  }
+
+  /**
+   * Transcription apps the content script captures from
+   */
+  initSources(settings) {
+    this.sources = settings.transcriptionSources;
+    this.sourcesContainer = document.getElementById('sources');
+    this.renderSources();
+
+    document.getElementById('addSource').addEventListener('click', () => {
+      this.sources.push({
+        id: crypto.randomUUID(),
+        name: '',
+        origin: '',
+        transcriptSelector: '',
+        stopSelector: '',
+        completionSelector: '',
+        completionText: ''
+      });
+      this.renderSources();
+    });
+  }
+
+  renderSources() {
+    this.sourcesContainer.replaceChildren(
+      ...this.sources.map(source => this.renderSource(source))
+    );
+  }
+
+  renderSource(source) {
+    const card = document.createElement('div');
+    card.className = 'profile';
+
+    const name = this.createInput('Name', source.name, 'e.g. Clinic dictation app');
+    const origin = this.createInput('Origin', source.origin, 'https://transcribe.example.org');
+    const transcriptSelector = this.createInput('Transcript element selector', source.transcriptSelector, '#transcript');
+    const stopSelector = this.createInput('Stop/finish control selector', source.stopSelector, '#stop-button');
+    const completionSelector = this.createInput('Completion element selector', source.completionSelector, '#status');
+    const completionText = this.createInput('Completion words', source.completionText, 'finished, review');
+
+    const save = document.createElement('button');
+    save.type = 'button';
+    save.className = 'btn';
+    save.textContent = 'Save source';
+    save.addEventListener('click', async () => {
+      let sourceOrigin;
+      try {
+        sourceOrigin = new URL(origin.input.value.trim()).origin;
+      } catch (error) {
+        this.showStatus('Origin must be a URL like https://transcribe.example.org', true);
+        return;
+      }
+
+      if (!transcriptSelector.input.value.trim()) {
+        this.showStatus('A transcript element selector is required', true);
+        return;
+      }
+
+      if (!(await this.requestOriginAccess(sourceOrigin))) {
+        this.showStatus(`Access to ${sourceOrigin} was not granted`, true);
+        return;
+      }
+
+      Object.assign(source, {
+        name: name.input.value.trim(),
+        origin: sourceOrigin,
+        transcriptSelector: transcriptSelector.input.value.trim(),
+        stopSelector: stopSelector.input.value.trim(),
+        completionSelector: completionSelector.input.value.trim(),
+        completionText: completionText.input.value.trim()
+      });
+      origin.input.value = sourceOrigin;
+      this.save({ transcriptionSources: this.sources });
+    });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn danger';
+    remove.textContent = 'Delete source';
+    remove.addEventListener('click', () => {
+      this.sources = this.sources.filter(s => s !== source);
+      this.renderSources();
+      this.save({ transcriptionSources: this.sources });
+    });
+
+    const selectors = document.createElement('div');
+    selectors.className = 'row';
+    selectors.append(transcriptSelector.group, stopSelector.group);
+
+    const completion = document.createElement('div');
+    completion.className = 'row';
+    completion.append(completionSelector.group, completionText.group);
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    actions.append(save, remove);
+
+    card.append(name.group, origin.group, selectors, completion, actions);
+    return card;
+  }
+
+  /**
+   * Built-in sources are covered by the manifest; others need an optional host permission
+   */
+  async requestOriginAccess(origin) {
+    const pattern = `${origin}/*`;
+    const [staticScripts] = chrome.runtime.getManifest().content_scripts;
+    if (staticScripts.matches.includes(pattern)) return true;
+
+    try {
+      return await chrome.permissions.request({ origins: [pattern] });
+    } catch (error) {
+      this.log.error('Permission request failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Per-EMR-site field mapping profiles
+   */
+  initProfiles(settings) {
+    this.profiles = settings.profiles;
+    this.profilesContainer = document.getElementById('profiles');
+    this.renderProfiles();
+
+    const remember = document.getElementById('rememberContextFills');
+    remember.checked = settings.rememberContextFills;
+    remember.addEventListener('change', () => {
+      this.save({ rememberContextFills: remember.checked });
+    });
+
+    document.getElementById('addProfile').addEventListener('click', () => {
+      this.profiles.push({
+        id: crypto.randomUUID(),
+        name: '',
+        origin: '',
+        pathPattern: '',
+        bindings: []
+      });
+      this.renderProfiles();
+    });
+  }
+
+  renderProfiles() {
+    this.profilesContainer.replaceChildren(
+      ...this.profiles.map(profile => this.renderProfile(profile))
+    );
+  }
+
+  renderProfile(profile) {
+    const card = document.createElement('div');
+    card.className = 'profile';
+
+    const name = this.createInput('Profile name', profile.name, 'e.g. Clinic EMR - Consultation');
+    const origin = this.createInput('EMR origin', profile.origin, 'https://emr.example.org');
+    const pathPattern = this.createInput('Path pattern', profile.pathPattern, '/patients/*/consultation');
+    const bindings = this.createTextarea('Bindings', FieldMappingProfiles.formatBindings(profile.bindings));
+
+    const update = () => {
+      profile.name = name.input.value.trim();
+      profile.pathPattern = pathPattern.input.value.trim();
+      profile.bindings = FieldMappingProfiles.parseBindings(bindings.input.value);
+
+      try {
+        profile.origin = origin.input.value.trim() ? new URL(origin.input.value.trim()).origin : '';
+        origin.input.value = profile.origin;
+      } catch (error) {
+        this.showStatus('Origin must be a URL like https://emr.example.org', true);
+        return;
+      }
+
+      this.save({ profiles: this.profiles });
+    };
+
+    [name, origin, pathPattern, bindings].forEach(({ input }) => input.addEventListener('change', update));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn danger';
+    remove.textContent = 'Delete profile';
+    remove.addEventListener('click', () => {
+      this.profiles = this.profiles.filter(p => p !== profile);
+      this.renderProfiles();
+      this.save({ profiles: this.profiles });
+    });
+
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.append(origin.group, pathPattern.group);
+
+    card.append(name.group, row, bindings.group, remove);
+    return card;
+  }
+
+  createInput(labelText, value, placeholder = '') {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value || '';
+    input.placeholder = placeholder;
+    label.htmlFor = input.id = `field-${++OptionsPage.fieldCounter}`;
+
+    group.append(label, input);
+    return { group, input };
+  }
+
+  createTextarea(labelText, value) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+
+    const input = document.createElement('textarea');
+    input.className = 'code';
+    input.value = value || '';
+    label.htmlFor = input.id = `field-${++OptionsPage.fieldCounter}`;
+
+    group.append(label, input);
+    return { group, input };
+  }
+
+  async save(changes) {
+    try {
+      await AutofillSettings.update(changes);
+      this.showStatus('Settings saved');
+    } catch (error) {
+      this.log.error('Failed to save settings:', error);
+      this.showStatus('Could not save settings', true);
+    }
+  }
+
+  showStatus(message, isError = false) {
+    this.statusElement.textContent = message;
+    this.statusElement.classList.toggle('error', isError);
+    this.statusElement.classList.add('visible');
+
+    clearTimeout(this.statusTimeout);
+    this.statusTimeout = setTimeout(() => {
+      this.statusElement.classList.remove('visible');
+    }, 2000);
+  }
+}
+
+const optionsPage = new OptionsPage();
@@ -0,0 +1,232 @@
+/**
+ * Patient Identity Check
+ * Compares the patient named in the transcript with the EMR chart's patient banner before filling
+ */
+
+class PatientIdentityCheck {
+  static log = new Logger('Patient Check');
+
+  static BANNER_SELECTOR = [
+    '[role="banner"]',
+    '[class*="banner" i]',
+    '[id*="banner" i]',
+    '[class*="patient-header" i]',
+    '[class*="patient-info" i]',
+    '[class*="demographic" i]'
+  ].join(', ');
+
+  static HEURISTIC_SELECTORS = {
+    name: '[data-patient-name], [class*="patient-name" i], [id*="patient-name" i], [class*="patientname" i], [id*="patientname" i]',
+    dob: '[data-patient-dob], [class*="patient-dob" i], [id*="patient-dob" i], [class*="birth" i]:not(input), [id*="birth" i]:not(input)',
+    mrn: '[data-patient-mrn], [class*="mrn" i]:not(input), [id*="mrn" i]:not(input)'
+  };
+
+  /**
+   * Check the chart against the transcript's name/DOB; status is 'match', 'mismatch' or 'unknown'
+   */
+  static async verify(transcriptFields) {
+    const { patientBanner } = await AutofillSettings.get();
+    const chart = PatientIdentityCheck.readBanner(patientBanner);
+    const transcript = {
+      name: transcriptFields.name || null,
+      dob: transcriptFields.dob || null
+    };
+
+    return { ...PatientIdentityCheck.compare(transcript, chart), transcript, chart };
+  }
+
+  /**
+   * Read name, DOB and MRN from the chart banner: configured selectors first, then heuristics
+   */
+  static readBanner(selectors = {}) {
+    const banners = PatientIdentityCheck.queryAll(PatientIdentityCheck.BANNER_SELECTOR)
+      .filter(element => !element.closest('form'));
+    const bannerText = banners.map(element => element.textContent).join('\n');
+
+    const read = (key) => {
+      const element = PatientIdentityCheck.queryAll(selectors[`${key}Selector`])[0] ||
+                      PatientIdentityCheck.queryAll(PatientIdentityCheck.HEURISTIC_SELECTORS[key])
+                        .find(el => !el.closest('form'));
+      if (!element) return null;
+
+      const text = (element.matches('input, textarea, select') ? element.value : element.textContent).trim();
+      // Strip a leading label such as "DOB:" or "Patient:"
+      return text.replace(/^(?:patient(?:\s+name)?|name|dob|date\s+of\s+birth|born|mrn)\s*[:#-]?\s*/i, '').trim() || null;
+    };
+
+    const fromBanner = (pattern) => {
+      const match = bannerText.match(pattern);
+      return match ? match[1].trim() : null;
+    };
+
+    return {
+      name: read('name') || fromBanner(/(?:patient|name)\s*:\s*([A-Z][\w'-]+(?:[ ,]+[A-Z][\w'-]+)+)/),
+      dob: read('dob') || fromBanner(/(?:DOB|Date\s+of\s+Birth|Born)\s*[:\-]?\s*([\w\/.\- ]+?\d{4})/i),
+      mrn: read('mrn') || fromBanner(/(?:MRN|Medical\s+Record\s+(?:No\.?|Number)|Hospital\s+No\.?)\s*[:#\-]?\s*([A-Z0-9\-]+)/i)
+    };
+  }
+
+  static queryAll(selector) {
+    if (!selector) return [];
+    try {
+      return DeepDom.querySelectorAll(selector);
+    } catch (error) {
+      PatientIdentityCheck.log.warn(`Invalid selector: ${selector}`);
+      return [];
+    }
+  }
+
+  static compare(transcript, chart) {
+    const reasons = [];
+    let matched = 0;
+    let partialName = false;
+
+    if (transcript.name && chart.name) {
+      const names = PatientIdentityCheck.compareNames(transcript.name, chart.name);
+      if (names === 'match') {
+        matched++;
+      } else if (names === 'partial') {
+        partialName = true;
+      } else {
+        reasons.push(`Name "${transcript.name}" does not match chart "${chart.name}"`);
+      }
+    }
+
+    if (transcript.dob && chart.dob) {
+      if (PatientIdentityCheck.datesMatch(transcript.dob, chart.dob)) {
+        matched++;
+      } else {
+        reasons.push(`Date of birth "${transcript.dob}" does not match chart "${chart.dob}"`);
+      }
+    }
+
+    if (reasons.length > 0) {
+      return { status: 'mismatch', reasons };
+    }
+
+    if (matched === 0) {
+      if (partialName) {
+        reasons.push(`Name "${transcript.name}" is not enough to confirm chart "${chart.name}"`);
+      } else if (!transcript.name && !transcript.dob) {
+        reasons.push('The transcript does not state the patient name or date of birth');
+      } else {
+        reasons.push('The patient on this chart could not be identified');
+      }
+      return { status: 'unknown', reasons };
+    }
+
+    return { status: 'match', reasons };
+  }
+
+  /**
+   * 'match' when the surnames agree and every word of the shorter name is in the longer one ("Smith, Jane" matches
+   * "Jane A. Smith"); 'partial' when one side is a single word found in the other, as "Jane" is in any "Jane …";
+   * otherwise 'mismatch'
+   */
+  static compareNames(a, b) {
+    // "Smith, Jane" -> "jane smith", so the surname is always the last word
+    const words = (name) => name
+      .replace(/^\s*([^,]+),\s*(.+)$/, '$2 $1')
+      .toLowerCase()
+      .replace(/[^a-z\s'-]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 1);
+    const [wordsA, wordsB] = [words(a), words(b)];
+    const [shorter, longer] = [wordsA, wordsB].sort((x, y) => x.length - y.length);
+
+    if (shorter.length === 0 || !shorter.every(word => longer.includes(word))) return 'mismatch';
+    if (shorter.length === 1) return 'partial';
+    return wordsA[wordsA.length - 1] === wordsB[wordsB.length - 1] ? 'match' : 'mismatch';
+  }
+
+  static datesMatch(a, b) {
+    const candidatesA = DateNormalizer.candidates(a);
+    const candidatesB = DateNormalizer.candidates(b);
+    return candidatesA.some(date => candidatesB.includes(date));
+  }
+
+  /**
+   * Ask the clinician whether to fill despite a mismatch or unverifiable identity; resolves true to override
+   */
+  static confirmOverride(result) {
+    return new Promise((resolve) => {
+      const container = document.createElement('div');
+      container.setAttribute('role', 'alertdialog');
+      container.setAttribute('aria-label', 'Patient check');
+      container.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        width: 420px;
+        max-width: calc(100vw - 40px);
+        background: white;
+        color: #333;
+        border-top: 6px solid ${result.status === 'mismatch' ? '#ef4444' : '#f59e0b'};
+        border-radius: 8px;
+        box-shadow: 0 4px 24px rgba(0,0,0,0.25);
+        z-index: 10002;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+        font-size: 13px;
+      `;
+
+      const header = document.createElement('div');
+      header.textContent = result.status === 'mismatch'
+        ? 'Patient mismatch: autofill blocked'
+        : 'Patient not verified: autofill blocked';
+      header.style.cssText = 'padding: 14px 16px 6px; font-size: 15px; font-weight: 600;';
+
+      const reasons = document.createElement('ul');
+      reasons.style.cssText = 'margin: 0; padding: 0 16px 0 32px;';
+      result.reasons.forEach(reason => {
+        const item = document.createElement('li');
+        item.textContent = reason;
+        reasons.appendChild(item);
+      });
+
+      const details = document.createElement('div');
+      details.style.cssText = 'display: grid; grid-template-columns: auto 1fr 1fr; gap: 4px 12px; padding: 12px 16px; color: #4b5563;';
+      const cells = [
+        '', 'Transcript', 'Chart',
+        'Name', result.transcript.name, result.chart.name,
+        'DOB', result.transcript.dob, result.chart.dob,
+        'MRN', null, result.chart.mrn
+      ];
+      cells.forEach((text, index) => {
+        const cell = document.createElement('span');
+        cell.textContent = text === null ? '—' : text;
+        if (index < 3 || index % 3 === 0) cell.style.fontWeight = '600';
+        details.appendChild(cell);
+      });
+
+      const footer = document.createElement('div');
+      footer.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; padding: 12px 16px; border-top: 1px solid #e5e7eb;';
+
+      const finish = (override) => {
+        document.removeEventListener('keydown', keyHandler, true);
+        container.remove();
+        resolve(override);
+      };
+      const keyHandler = (e) => {
+        if (e.key === 'Escape') finish(false);
+      };
+      document.addEventListener('keydown', keyHandler, true);
+
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.textContent = 'Cancel fill';
+      cancel.style.cssText = 'padding: 8px 14px; border: none; border-radius: 6px; background: #10b981; color: white; font: inherit; font-weight: 500; cursor: pointer;';
+      cancel.addEventListener('click', () => finish(false));
+
+      const override = document.createElement('button');
+      override.type = 'button';
+      override.textContent = 'Fill anyway';
+      override.style.cssText = 'padding: 8px 14px; border: 1px solid #ef4444; border-radius: 6px; background: white; color: #ef4444; font: inherit; font-weight: 500; cursor: pointer;';
+      override.addEventListener('click', () => finish(true));
+
+      footer.append(override, cancel);
+      container.append(header, reasons, details, footer);
+      document.body.appendChild(container);
+      cancel.focus();
+    });
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Pending Fills
+ * Keeps the parsed values that found no field on a multi-step or tabbed EMR form, and fills them as later steps,
+ * tabs or accordion sections render. Pending values are held by the background service for the tab, so they
+ * also survive a wizard that loads each step as a new page on the same site.
+ */
+
+class PendingFills {
+  static SETTLE_DELAY = 400;
+
+  /**
+   * @param {Object} host - the autofill instance; provides detectFormFields, mapDataToFields, reviewMappings,
+   *   fillFields, auditRun, corrections, showFillComplete and showNotification
+   */
+  constructor(host) {
+    this.host = host;
+    this.log = new Logger('Pending Fills');
+    this.fields = {};
+    this.patient = null;
+    this.transcript = null;
+    this.needsPatientCheck = false;
+    this.observer = null;
+    this.timer = null;
+    this.busy = false;
+  }
+
+  /**
+   * After a run, keep whatever the run had no field for and start watching for new sections
+   * @param {Object} fields - the parsed fields the run started with
+   * @param {Array} mappings - every mapping the run proposed, filled or not
+   * @param {string} transcript - the text the values came from, for the audit log of later fills
+   * @param {boolean} patientChecked - whether the run checked this chart's patient; if not, later fills check it
+   */
+  async keep(fields, mappings, transcript, patientChecked = false) {
+    const covered = PendingFills.coveredKeys(mappings);
+    this.fields = Object.fromEntries(Object.entries(fields).filter(([key]) => !covered.has(key)));
+    this.patient = { name: fields.name || null, dob: fields.dob || null };
+    this.transcript = transcript;
+    this.needsPatientCheck = !patientChecked;
+    await this.save();
+
+    if (this.hasPending()) {
+      this.log.debug(`Waiting for fields for: ${Object.keys(this.fields).join(', ')}`);
+      this.watch();
+    } else {
+      this.stop();
+    }
+  }
+
+  /**
+   * Pick up values left pending by an earlier page of the same form
+   */
+  async restore() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PENDING_FILLS' });
+      if (!response?.pending) return;
+
+      this.fields = response.pending.fields;
+      this.patient = response.pending.patient;
+      this.transcript = response.pending.transcript;
+      // A new page may be another patient's chart
+      this.needsPatientCheck = true;
+      this.log.debug(`Restored pending values for: ${Object.keys(this.fields).join(', ')}`);
+      this.watch();
+      this.schedule();
+    } catch (error) {
+      this.log.warn('Could not restore pending values:', error);
+    }
+  }
+
+  async clear() {
+    this.fields = {};
+    this.stop();
+    await this.save();
+  }
+
+  hasPending() {
+    return Object.keys(this.fields).length > 0;
+  }
+
+  save() {
+    return chrome.runtime.sendMessage({
+      type: 'SET_PENDING_FILLS',
+      pending: this.hasPending() ? { fields: this.fields, patient: this.patient, transcript: this.transcript } : null
+    }).catch(error => this.log.warn('Could not save pending values:', error));
+  }
+
+  watch() {
+    if (this.observer) return;
+    this.observer = new MutationObserver(() => this.schedule());
+    this.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'style', 'hidden', 'aria-hidden', 'aria-expanded', 'aria-selected', 'open']
+    });
+  }
+
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Wait for the DOM to settle after a tab switch or step change before looking for fields
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.fillPending().catch(error => {
+      this.log.error('Error filling pending values:', error);
+    }), PendingFills.SETTLE_DELAY);
+  }
+
+  async fillPending() {
+    if (this.busy || !this.hasPending()) return;
+    this.busy = true;
+
+    try {
+      // Only empty fields: anything else was filled by an earlier step or by the clinician
+      const fields = this.host.detectFormFields().filter(field => PendingFills.isEmpty(field));
+      const profile = await FieldMappingProfiles.findForLocation(window.location);
+      const mappings = this.host.mapDataToFields({ fields: this.fields }, fields, profile);
+      if (mappings.length === 0) return;
+
+      if (this.needsPatientCheck) {
+        const identity = await PatientIdentityCheck.verify(this.patient);
+        if (identity.status === 'mismatch') {
+          this.log.warn('Different patient on this page:', identity.reasons);
+          await this.clear();
+          this.host.showNotification('Pending autofill values discarded: this chart is for a different patient', 'error');
+          return;
+        }
+        this.needsPatientCheck = false;
+      }
+
+      this.log.debug(`New fields for: ${mappings.map(mapping => mapping.dataKey).join(', ')}`);
+      const approved = await this.host.reviewMappings(mappings, fields);
+      if (!approved) {
+        this.host.auditRun('pending', { transcript: this.transcript, mappings: mappings, outcome: 'cancelled' });
+        // Cancelling is a decision about the rest of the transcript too; don't ask again on every change
+        await this.clear();
+        this.host.showNotification('Pending autofill values discarded', 'info');
+        return;
+      }
+
+      const filled = await this.host.fillFields(approved);
+      this.host.auditRun('pending', { transcript: this.transcript, mappings: mappings, approved: approved, outcome: filled ? 'filled' : 'unchanged' });
+      this.host.corrections.watch(approved);
+      const covered = PendingFills.coveredKeys(mappings);
+      this.fields = Object.fromEntries(Object.entries(this.fields).filter(([key]) => !covered.has(key)));
+      await this.save();
+      if (!this.hasPending()) this.stop();
+
+      this.host.showFillComplete(`Filled ${approved.length} pending ${approved.length === 1 ? 'value' : 'values'} into this section`, filled);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Parsed keys a set of mappings accounts for; filling blood pressure covers systolic/diastolic and vice versa
+   */
+  static coveredKeys(mappings) {
+    const covered = new Set();
+    for (const { dataKey } of mappings) {
+      const compositeKey = CompositeVitals.COMPOSITES[dataKey] ? dataKey : CompositeVitals.compositeOf(dataKey);
+      covered.add(dataKey);
+      if (compositeKey) {
+        covered.add(compositeKey);
+        CompositeVitals.COMPOSITES[compositeKey].parts.forEach(part => covered.add(part.key));
+      }
+    }
+    return covered;
+  }
+
+  static isEmpty(field) {
+    const element = field.element;
+    if (field.type === 'checkbox') return !element.checked;
+    if (field.type === 'radio') {
+      return !DeepDom.rootOf(element).querySelector(`input[type="radio"][name="${element.name}"]:checked`);
+    }
+    return !field.value;
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Toolbar popup: the paired tabs, the selected transcript and its sections, and the session controls.
+ * A port to the background service keeps it in sync while open.
+ */
+
+class AutofillPopup {
+  static RECONNECT_DELAY = 500;
+
+  constructor() {
+    this.log = new Logger('Popup');
+    this.statusElement = document.getElementById('status');
+    this.transcriptElement = document.getElementById('transcript');
+    this.select = document.getElementById('transcriptSelect');
+    this.candidatesElement = document.getElementById('candidates');
+    this.pairButton = document.getElementById('pairActive');
+    this.init();
+  }
+
+  async init() {
+    [this.activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    this.connect();
+
+    this.bindAction('capture', { type: 'CAPTURE_TRANSCRIPT' });
+    this.bindAction('fill', { type: 'FILL_EMR' });
+    this.bindAction('preview', { type: 'FILL_EMR', preview: true });
+    this.bindAction('undo', { type: 'UNDO_LAST_FILL' });
+    this.bindAction('clear', { type: 'CLEAR_TRANSCRIPTS' }, 'Clear all captured transcripts?');
+    this.bindAction('repair', { type: 'REPAIR_TABS' });
+    this.pairButton.addEventListener('click', () => this.pairActiveTab());
+
+    this.select.addEventListener('change', () => {
+      this.send({ type: 'SELECT_TRANSCRIPT', id: this.select.value });
+    });
+  }
+
+  /**
+   * The background pushes a status snapshot on connect and after every state change
+   */
+  connect() {
+    this.port = chrome.runtime.connect({ name: 'popup' });
+    this.port.onMessage.addListener((message) => {
+      if (message.type === 'STATUS') this.render(message.status);
+    });
+    // The service worker may be restarted while the popup is open
+    this.port.onDisconnect.addListener(() => {
+      setTimeout(() => this.connect(), AutofillPopup.RECONNECT_DELAY);
+    });
+  }
+
+  bindAction(id, message, confirmation) {
+    const button = document.getElementById(id);
+    button.addEventListener('click', async () => {
+      if (confirmation && !confirm(confirmation)) return;
+      button.disabled = true;
+      try {
+        const response = await this.send(message);
+        this.renderCandidates(response?.candidates || []);
+      } finally {
+        button.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * The extension only runs on the built-in transcription sites until it is allowed on the EMR site; the browser
+   * asks for that here, while the click still counts as the user's
+   */
+  async pairActiveTab() {
+    const origin = new URL(this.activeTab.url).origin;
+    this.pairButton.disabled = true;
+    try {
+      const granted = await chrome.permissions.request({ origins: [`${origin}/*`] }).catch(error => {
+        this.log.error('Permission request failed:', error);
+        return false;
+      });
+      if (!granted) {
+        this.showStatus(`Allow access to ${origin} to pair this tab`, true);
+        return;
+      }
+      await this.send({ type: 'PAIR_EMR_TAB', tabId: this.activeTab.id });
+    } finally {
+      this.pairButton.disabled = false;
+    }
+  }
+
+  async send(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (response?.success === false || response?.error) {
+        this.showStatus(response.error || 'Something went wrong', true);
+      } else if (response?.message) {
+        this.showStatus(response.message);
+      }
+      return response;
+    } catch (error) {
+      this.log.error(`${message.type} failed:`, error);
+      this.showStatus('Could not reach the extension', true);
+      return null;
+    }
+  }
+
+  render(status) {
+    this.renderTab('transcriptionTab', status.transcriptionTab, 'Not paired');
+    this.renderTab('emrTab', status.emrTab, 'Not paired');
+    this.pairButton.hidden = !this.activeTab?.url?.startsWith('http') ||
+      this.activeTab.id === status.emrTabId || this.activeTab.id === status.transcriptionTabId;
+    this.renderInbox(status.entries, status.selectedTranscriptId);
+    this.renderTranscript(status.transcript);
+
+    document.getElementById('fill').disabled = !status.entries.length;
+    document.getElementById('preview').disabled = !status.entries.length;
+    document.getElementById('undo').disabled = !status.emrTab;
+    document.getElementById('clear').disabled = !status.entries.length;
+  }
+
+  renderTab(id, tab, missingText) {
+    const element = document.getElementById(id);
+    element.classList.toggle('missing', !tab);
+    element.textContent = tab ? (tab.title || tab.url) : missingText;
+    element.title = tab ? tab.url : '';
+  }
+
+  /**
+   * Tabs with forms to choose the EMR from, after Re-pair found more than one
+   */
+  renderCandidates(candidates) {
+    this.candidatesElement.hidden = candidates.length === 0;
+    this.candidatesElement.replaceChildren();
+
+    for (const candidate of candidates) {
+      const row = document.createElement('div');
+      row.className = 'candidate';
+      const name = document.createElement('span');
+      name.textContent = candidate.title || candidate.url;
+      name.title = candidate.url;
+
+      const pair = document.createElement('button');
+      pair.type = 'button';
+      pair.className = 'btn';
+      pair.textContent = 'Pair';
+      pair.addEventListener('click', async () => {
+        const response = await this.send({ type: 'PAIR_EMR_TAB', tabId: candidate.id });
+        if (response?.success) this.renderCandidates([]);
+      });
+
+      row.append(name, pair);
+      this.candidatesElement.appendChild(row);
+    }
+  }
+
+  /**
+   * A chooser once there is more than one transcript to pick from
+   */
+  renderInbox(entries, selectedId) {
+    this.select.hidden = entries.length < 2;
+    this.select.replaceChildren();
+
+    for (const entry of entries) {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      const time = new Date(entry.capturedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      option.textContent = `${entry.patient?.name || 'Unknown patient'} · ${time} · ${entry.complete ? entry.status : 'dictating'}`;
+      option.selected = entry.id === selectedId;
+      this.select.appendChild(option);
+    }
+  }
+
+  renderTranscript(transcript) {
+    this.transcriptElement.replaceChildren();
+
+    if (!transcript) {
+      const empty = document.createElement('p');
+      empty.className = 'empty';
+      empty.textContent = 'No transcript captured yet';
+      this.transcriptElement.appendChild(empty);
+      return;
+    }
+
+    const preview = document.createElement('div');
+    preview.className = 'preview';
+    preview.textContent = transcript.length > transcript.preview.length ? `${transcript.preview}…` : transcript.preview;
+
+    const sections = document.createElement('div');
+    sections.className = 'sections';
+    const entries = Object.entries(transcript.sections);
+    if (entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty';
+      empty.textContent = 'No sections recognised';
+      sections.appendChild(empty);
+    }
+    for (const [key, value] of entries) {
+      const row = document.createElement('div');
+      const keyElement = document.createElement('span');
+      keyElement.className = 'key';
+      keyElement.textContent = key;
+      const valueElement = document.createElement('span');
+      valueElement.className = 'value';
+      valueElement.textContent = String(value);
+      valueElement.title = String(value);
+      row.append(keyElement, valueElement);
+      sections.appendChild(row);
+    }
+
+    this.transcriptElement.append(preview, sections);
+  }
+
+  showStatus(message, isError = false) {
+    this.statusElement.textContent = message;
+    this.statusElement.classList.toggle('error', isError);
+  }
+}
+
+new AutofillPopup();
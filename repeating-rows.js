@@ -0,0 +1,250 @@
+/**
+ * Repeating Rows
+ * Splits list sections (medications, allergies, diagnoses) into items and fills them into repeating-row widgets:
+ * an "Add medication" control is clicked for each item that has no empty row, and each row's sub-fields are filled.
+ * A single textarea or rich-text editor gets one item per line instead.
+ */
+
+class RepeatingRows {
+  static log = new Logger('Repeating Rows');
+
+  static LISTS = {
+    medications: {
+      // Not "medical" or "drug allergies", which head other lists
+      noun: /medicat|(?<![a-z])meds?(?![a-z])|(?<![a-z])drugs?(?![a-z])(?![\s_-]*allerg)|prescri/i,
+      subFields: {
+        dose: /dose|strength|amount|\bqty\b/i,
+        frequency: /freq|\bsig\b|direction|schedule|how often/i,
+        route: /route/i
+      }
+    },
+    allergies: {
+      noun: /allerg/i,
+      subFields: {
+        reaction: /reaction|response/i
+      }
+    },
+    diagnosis: {
+      noun: /diagnos|\bdx\b|problem[\s_-]*list|active[\s_-]*problems?/i,
+      subFields: {
+        code: /code|icd/i
+      }
+    }
+  };
+
+  static ROW_SELECTOR = 'tr, li, fieldset, [class*="row" i], [class*="item" i], [class*="entry" i]';
+
+  static ADD_CONTROL_SELECTOR = 'button, [role="button"], a, input[type="button"]';
+
+  static REMOVE_CONTROL_TEXT = /\b(?:remove|delete|trash)\b|^\s*[×✕✖−-]\s*$/i;
+
+  /**
+   * Fill a list mapping row by row, or line by line into a textarea.
+   * Returns false when the mapping isn't a list going into one of those, so the caller fills it as usual.
+   * @param {Object} host - the autofill instance; provides detectFormFields, fillField, history and sleep
+   */
+  static async fill(host, mapping) {
+    const list = RepeatingRows.LISTS[mapping.dataKey];
+    if (!list) return false;
+
+    const items = RepeatingRows.splitItems(mapping.value);
+    if (['textarea', 'richtext'].includes(mapping.field.type)) {
+      host.history.record(mapping.field.element);
+      await host.fillField(mapping.field, items.join('\n'));
+      return true;
+    }
+
+    const addControl = RepeatingRows.findAddControl(list, mapping.field.element);
+    if (!addControl) return false;
+
+    for (const item of items) {
+      const row = RepeatingRows.emptyRows(host, list)[0] || await RepeatingRows.addRow(host, addControl);
+      if (!row) {
+        RepeatingRows.log.warn(`No new ${mapping.dataKey} row appeared; ${items.length} items, stopped at:`, item);
+        break;
+      }
+      await RepeatingRows.fillRow(host, list, row, item, mapping.dataKey);
+    }
+    return true;
+  }
+
+  /**
+   * "Oral contraceptives, multivitamin" -> ["Oral contraceptives", "multivitamin"]; commas inside brackets don't split
+   */
+  static splitItems(value) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(' || char === '[') depth++;
+      if ((char === ')' || char === ']') && depth > 0) depth--;
+      if (depth === 0 && /[,;\n]/.test(char)) {
+        items.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    items.push(current);
+
+    return items
+      .flatMap(item => item.split(/\s+and\s+(?![^(]*\))/i))
+      .map(item => item.trim().replace(/^(?:[-*•]|\d+[.)])\s*/, '').replace(/^and\s+/i, '').replace(/\.$/, '').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * An item's parts for the row's sub-fields, e.g. { name, dose, frequency, route } for a medication
+   */
+  static itemParts(dataKey, item) {
+    let match;
+
+    if (dataKey === 'medications') {
+      const parts = { name: item };
+      if ((match = item.match(/\b\d+(?:\.\d+)?\s*(?:mg|mcg|µg|g|ml|units?|iu|%)(?:\/\w+)?(?![\w])/i))) {
+        parts.name = item.substring(0, match.index).trim() || item;
+        parts.dose = match[0];
+        const rest = item.substring(match.index + match[0].length);
+        const frequency = rest.match(/\b(?:(?:once|twice|three times|four times)(?: a| per)? (?:day|daily)|daily|nightly|weekly|bid|tid|qid|qhs|prn|as needed|at night|every \d+(?:-\d+)? hours|q\d+h)\b/i);
+        const route = rest.match(/\b(?:orally|oral|po|iv|im|subcutaneous|subcut|sc|topical|inhaled|sublingual)\b/i);
+        if (frequency) parts.frequency = frequency[0];
+        if (route) parts.route = route[0];
+      }
+      return parts;
+    }
+
+    if (dataKey === 'allergies') {
+      if ((match = item.match(/^(.+?)\s*(?:\((.+)\)|(?:\s[-–—]\s|:)\s*(.+)|\s(?:causes|causing|gives|with)\s+(.+))$/i))) {
+        return { name: match[1].trim(), reaction: (match[2] || match[3] || match[4]).trim() };
+      }
+      return { name: item };
+    }
+
+    if (dataKey === 'diagnosis') {
+      if ((match = item.match(/\b[A-TV-Z]\d{2}(?:\.\d{1,4})?\b/))) {
+        const name = item.replace(match[0], '').replace(/[()\[\]]/g, '').replace(/\s*[-–—:]\s*$|^\s*[-–—:]\s*/g, '').trim();
+        return { name: name || item, code: match[0] };
+      }
+      return { name: item };
+    }
+
+    return { name: item };
+  }
+
+  /**
+   * The list's "Add ..." control, nearest the mapped field when there are several
+   */
+  static findAddControl(list, anchor) {
+    const describe = (element) => [element.textContent, element.value, element.getAttribute('aria-label'), element.title]
+      .filter(Boolean)
+      .join(' ')
+      .trim();
+    const candidates = DeepDom.querySelectorAll(RepeatingRows.ADD_CONTROL_SELECTOR, DeepDom.rootOf(anchor))
+      .filter(element => element.getAttribute('type') !== 'submit' && !element.disabled)
+      .filter(element => {
+        const text = describe(element);
+        return text.length < 60 && /\badd\b|\bnew\b|\+/i.test(text);
+      });
+
+    // Named for the list ("Add medication"), or a bare "+ Add" in the same section as the field
+    const named = candidates.filter(element => list.noun.test(describe(element)));
+    const section = anchor.closest('fieldset, section, table, [class*="list" i], [class*="section" i]');
+    const pool = named.length ? named : candidates.filter(element => section && section.contains(element));
+    if (pool.length === 0) return null;
+
+    const distance = (element) => {
+      let depth = 0;
+      for (let ancestor = anchor; ancestor; ancestor = ancestor.parentElement, depth++) {
+        if (ancestor.contains(element)) return depth;
+      }
+      return Infinity;
+    };
+    return pool.sort((a, b) => distance(a) - distance(b))[0];
+  }
+
+  /**
+   * Rows of this list whose text inputs are all still empty (selects start on a default), each as an array of field infos
+   */
+  static emptyRows(host, list) {
+    return RepeatingRows.rows(host.detectFormFields(), list)
+      .filter(row => row.every(field => field.type === 'select' || !field.element.value));
+  }
+
+  static rows(fields, list) {
+    const containers = [];
+    fields
+      .filter(field => list.noun.test(field.identifier))
+      .forEach(field => {
+        const container = field.element.closest(RepeatingRows.ROW_SELECTOR) || field.element.parentElement;
+        if (container && !containers.includes(container)) containers.push(container);
+      });
+
+    return containers.map(container => fields.filter(field =>
+      container.contains(field.element) && ['text', 'textarea', 'select', 'number', 'search', 'combobox'].includes(field.type)
+    ));
+  }
+
+  /**
+   * Click the add control and wait for the new row's inputs to render
+   */
+  static async addRow(host, addControl) {
+    const before = new Set(host.detectFormFields().map(field => field.element));
+    addControl.click();
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      await host.sleep(100);
+      const added = host.detectFormFields().filter(field => !before.has(field.element));
+      if (added.length > 0) {
+        const container = added[0].element.closest(RepeatingRows.ROW_SELECTOR);
+        if (!container) return added;
+        host.history.recordAddedRow(container);
+        return added.filter(field => container.contains(field.element));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Take back a row an autofill run added, with the row's own remove control; returns false if it has none
+   */
+  static removeRow(row) {
+    const control = DeepDom.querySelectorAll(RepeatingRows.ADD_CONTROL_SELECTOR, row)
+      .filter(element => element.getAttribute('type') !== 'submit' && !element.disabled)
+      .find(element => [element.textContent, element.value, element.getAttribute('aria-label'), element.title]
+        .some(text => text && RepeatingRows.REMOVE_CONTROL_TEXT.test(text)));
+    if (!control) {
+      RepeatingRows.log.warn('Added row has no remove control; leaving it empty');
+      return false;
+    }
+
+    control.click();
+    return true;
+  }
+
+  /**
+   * Fill one row: sub-fields by their labels, the first remaining input gets the item name
+   */
+  static async fillRow(host, list, row, item, dataKey) {
+    if (row.length === 1) {
+      host.history.record(row[0].element);
+      await host.fillField(row[0], item);
+      return;
+    }
+
+    const parts = RepeatingRows.itemParts(dataKey, item);
+    const assigned = new Map();
+    for (const field of row) {
+      const subField = Object.keys(list.subFields).find(key => list.subFields[key].test(field.identifier));
+      if (subField && !assigned.has(subField)) assigned.set(subField, field);
+    }
+    const nameField = row.find(field => ![...assigned.values()].includes(field));
+    if (nameField) assigned.set('name', nameField);
+
+    for (const [part, field] of assigned) {
+      if (!parts[part]) continue;
+      host.history.record(field.element);
+      await host.fillField(field, parts[part]);
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Rich Text Editor
+ * Detects contenteditable note editors and writes to them the way a user would, so the editor's own model takes
+ * the text: a paste event first (which ProseMirror, Quill, CKEditor and Draft.js all handle), then the browser's
+ * editing commands, and only then the DOM directly. Each line of a value becomes its own paragraph.
+ */
+
+class RichTextEditor {
+  static SELECTOR = '[contenteditable]:not([contenteditable="false"])';
+
+  /**
+   * Whether the element is the outermost editable region (editors nest contenteditable inside for widgets)
+   */
+  static isEditor(element) {
+    return !!element && element.isContentEditable === true && !element.parentElement?.isContentEditable;
+  }
+
+  /**
+   * The editor a node sits in, e.g. the target of a paste into one of its paragraphs, or null
+   */
+  static editorFor(node) {
+    let element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    if (!element?.isContentEditable) return null;
+
+    while (element.parentElement?.isContentEditable) {
+      element = element.parentElement;
+    }
+    return element;
+  }
+
+  static text(element) {
+    return element.innerText || '';
+  }
+
+  static fill(element, value) {
+    RichTextEditor.write(element, RichTextEditor.toHtml(value), value);
+  }
+
+  static clear(element) {
+    RichTextEditor.write(element, '', '');
+  }
+
+  /**
+   * Replace the editor's whole content with html (text is the plain-text form for editors that only take that)
+   */
+  static write(element, html, text) {
+    const doc = element.ownerDocument;
+    element.focus();
+    const selection = doc.getSelection();
+    const range = doc.createRange();
+    range.selectNodeContents(element);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    if (text && RichTextEditor.paste(element, html, text)) return;
+
+    const commandApplied = text
+      ? doc.execCommand('insertHTML', false, html)
+      : doc.execCommand('delete');
+    if (commandApplied) return;
+
+    element.innerHTML = html;
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText' }));
+  }
+
+  /**
+   * Offer the value as a paste; true when an editor took it (it cancels the event to insert into its model)
+   */
+  static paste(element, html, text) {
+    const clipboardData = new DataTransfer();
+    clipboardData.setData('text/plain', text);
+    clipboardData.setData('text/html', html);
+
+    const event = new ClipboardEvent('paste', {
+      clipboardData: clipboardData,
+      bubbles: true,
+      cancelable: true,
+      composed: true
+    });
+    return !element.dispatchEvent(event);
+  }
+
+  static toHtml(value) {
+    const escape = (line) => line
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    return value
+      .split(/\r?\n/)
+      .map(line => `<p>${escape(line) || '<br>'}</p>`)
+      .join('');
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Transcript Picker
+ * In-page chooser for which captured transcript to send to this EMR tab
+ */
+
+class TranscriptPicker {
+  constructor(entries) {
+    this.entries = entries;
+    this.container = null;
+    this.log = new Logger('Transcript Picker');
+  }
+
+  /**
+   * Show the picker; resolves with the chosen entry id, or null if closed
+   */
+  choose() {
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.render();
+    });
+  }
+
+  render() {
+    this.container = document.createElement('div');
+    this.container.setAttribute('role', 'dialog');
+    this.container.setAttribute('aria-label', 'Choose transcript');
+    this.container.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      width: 460px;
+      max-width: calc(100vw - 40px);
+      max-height: calc(100vh - 40px);
+      display: flex;
+      flex-direction: column;
+      background: white;
+      color: #333;
+      border-radius: 8px;
+      box-shadow: 0 4px 24px rgba(0,0,0,0.25);
+      z-index: 10001;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+      font-size: 13px;
+    `;
+
+    const header = document.createElement('div');
+    header.textContent = 'Choose a transcript to fill';
+    header.style.cssText = 'padding: 14px 16px; font-size: 15px; font-weight: 600; border-bottom: 1px solid #e5e7eb;';
+
+    this.list = document.createElement('div');
+    this.list.style.cssText = 'overflow-y: auto; padding: 8px 16px;';
+    this.entries.forEach(entry => this.list.appendChild(this.renderEntry(entry)));
+
+    const footer = document.createElement('div');
+    footer.style.cssText = 'display: flex; justify-content: flex-end; padding: 12px 16px; border-top: 1px solid #e5e7eb;';
+    footer.appendChild(this.createButton('Cancel', '#6b7280', () => this.close(null)));
+
+    this.keyHandler = (e) => {
+      if (e.key === 'Escape') this.close(null);
+    };
+    document.addEventListener('keydown', this.keyHandler, true);
+
+    this.container.append(header, this.list, footer);
+    document.body.appendChild(this.container);
+  }
+
+  renderEntry(entry) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      padding: 10px;
+      margin-bottom: 6px;
+      border-radius: 6px;
+      background: ${entry.status === 'pending' ? '#f9fafb' : '#f3f4f6'};
+    `;
+
+    const title = document.createElement('div');
+    title.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; font-weight: 600;';
+
+    const patient = document.createElement('span');
+    patient.textContent = [entry.patient?.name || 'Unknown patient', entry.patient?.dob && `DOB ${entry.patient.dob}`]
+      .filter(Boolean)
+      .join(' · ');
+
+    const meta = document.createElement('span');
+    meta.textContent = `${new Date(entry.capturedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ${entry.complete ? entry.status : 'dictating'}`;
+    meta.style.cssText = `font-weight: 500; color: ${entry.status === 'pending' ? '#047857' : '#6b7280'};`;
+
+    title.append(patient, meta);
+
+    const preview = document.createElement('div');
+    preview.textContent = entry.preview;
+    preview.style.cssText = 'margin: 6px 0 8px; color: #4b5563; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 8px;';
+    actions.append(
+      this.createButton('Fill', '#10b981', () => this.close(entry.id)),
+      this.createButton('Discard', '#ef4444', () => this.discard(entry, row))
+    );
+
+    row.append(title, preview, actions);
+    return row;
+  }
+
+  async discard(entry, row) {
+    try {
+      await chrome.runtime.sendMessage({ type: 'DISCARD_TRANSCRIPT', id: entry.id });
+      row.remove();
+      if (!this.list.children.length) this.close(null);
+    } catch (error) {
+      this.log.error('Failed to discard transcript:', error);
+    }
+  }
+
+  createButton(label, color, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = `padding: 6px 12px; border: none; border-radius: 6px; background: ${color}; color: white; font: inherit; font-weight: 500; cursor: pointer;`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  close(result) {
+    document.removeEventListener('keydown', this.keyHandler, true);
+    this.container?.remove();
+    this.container = null;
+    this.resolve(result);
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Transcription Sources
+ * Admin-registered transcription apps: where the transcript lives and how to tell dictation is finished
+ *
+ * Source shape: { id, name, origin, transcriptSelector, stopSelector, completionSelector, completionText }
+ * completionText is a comma-separated list of words that appear in the completion element once done.
+ */
+
+class TranscriptionSources {
+  static log = new Logger('Transcription Sources');
+
+  static async getAll() {
+    const { transcriptionSources } = await AutofillSettings.get();
+    return transcriptionSources;
+  }
+
+  /**
+   * Registered source for a page URL, or null
+   */
+  static async forUrl(url) {
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
+
+    const sources = await TranscriptionSources.getAll();
+    return sources.find(source => source.origin === origin) || null;
+  }
+
+  /**
+   * First element matching a selector list, tolerating invalid selectors
+   */
+  static queryFirst(selector, root = document) {
+    if (!selector) return null;
+    try {
+      return root.querySelector(selector);
+    } catch (error) {
+      TranscriptionSources.log.warn(`Invalid selector: ${selector}`);
+      return null;
+    }
+  }
+
+  static closest(element, selector) {
+    if (!selector || !element?.closest) return null;
+    try {
+      return element.closest(selector);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static completionKeywords(source) {
+    return (source.completionText || '')
+      .split(',')
+      .map(word => word.trim().toLowerCase())
+      .filter(Boolean);
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Unit Converter
+ * Converts weight, temperature and height to the unit the target field expects (lb↔kg, °F↔°C, ft/in↔cm)
+ * and picks the matching option in a paired unit <select>
+ */
+
+class UnitConverter {
+  // Unit names per dataKey; `text` matches labels and placeholders, `token` matches name/id parts like "wt_kg"
+  static UNITS = {
+    weight: {
+      kg: { text: /\b(?:kg|kgs|kilos?|kilograms?)\b/i, token: /^(?:kg|kgs|kilos?|kilograms?)$/i },
+      lb: { text: /\b(?:lbs?|pounds?)\b/i, token: /^(?:lbs?|pounds?)$/i }
+    },
+    temperature: {
+      c: { text: /°\s*c\b|\bcelsius\b|\bcentigrade\b|\(c\)/i, token: /^(?:c|celsius|centigrade)$/i },
+      f: { text: /°\s*f\b|\bfahrenheit\b|\(f\)/i, token: /^(?:f|fahrenheit)$/i }
+    },
+    height: {
+      cm: { text: /\b(?:cm|centimet(?:er|re)s?)\b/i, token: /^(?:cm|centimet(?:er|re)s?)$/i },
+      ftin: { text: /\b(?:ft|feet|foot)\b/i, token: /^(?:ft|feet|foot|ftin)$/i },
+      in: { text: /\binch(?:es)?\b|\(in\)/i, token: /^(?:in|inch|inches)$/i }
+    }
+  };
+
+  // Above this many kilograms a unitless weight can only be pounds
+  static MAX_WEIGHT_KG = 350;
+
+  /**
+   * Value to write into a field, plus the unit <select> option to choose alongside it.
+   * assumedUnit is the field's unit when a unitless weight is written into it as is.
+   * @returns {{ value: string, unitSelect: HTMLSelectElement|null, unitOption: HTMLOptionElement|null, assumedUnit: string|null }}
+   */
+  static prepare(dataKey, value, fieldInfo) {
+    const prepared = { value, unitSelect: null, unitOption: null, assumedUnit: null };
+    const units = UnitConverter.UNITS[dataKey];
+    if (!units || typeof value !== 'string') return prepared;
+
+    const quantity = UnitConverter.parseQuantity(dataKey, value);
+    if (!quantity) return prepared;
+
+    // A paired unit selector can take the value's own unit; otherwise convert to what the field shows
+    const unitSelect = UnitConverter.findUnitSelect(dataKey, fieldInfo.element);
+    let target = null;
+    if (unitSelect) {
+      const ownOption = quantity.unit && UnitConverter.findUnitOption(dataKey, unitSelect, quantity.unit);
+      target = ownOption ? quantity.unit : UnitConverter.unitOfSelect(dataKey, unitSelect);
+      prepared.unitOption = ownOption || (target && UnitConverter.findUnitOption(dataKey, unitSelect, target));
+      if (prepared.unitOption) prepared.unitSelect = unitSelect;
+    }
+    if (!target) {
+      target = UnitConverter.detectFieldUnit(dataKey, fieldInfo, quantity.unit);
+    }
+
+    const numeric = fieldInfo.type === 'number' || !!prepared.unitSelect;
+    if (!target) {
+      // Unknown unit: numeric inputs can't take "145 lbs", text fields keep what was dictated
+      if (numeric && quantity.unit !== 'ftin') prepared.value = quantity.amount;
+      return prepared;
+    }
+    if (numeric && target === 'ftin') target = 'in';
+
+    // The field names its unit, so it gets the bare number; a unitless weight can only be taken to be in that unit
+    if ((!quantity.unit || quantity.unit === target) && target !== 'ftin') {
+      prepared.value = quantity.amount;
+      if (!quantity.unit) prepared.assumedUnit = target;
+    } else {
+      prepared.value = UnitConverter.format(UnitConverter.convert(quantity, target), target);
+    }
+    return prepared;
+  }
+
+  /**
+   * A warning when a unitless weight would go into a field that expects a unit, since it may be in the other one
+   */
+  static unitWarning(dataKey, value, fieldInfo) {
+    const { assumedUnit } = UnitConverter.prepare(dataKey, value, fieldInfo);
+    if (!assumedUnit) return null;
+    return `Weight "${value.trim()}" was dictated without a unit; check it is in ${assumedUnit}`;
+  }
+
+  /**
+   * Amount and unit of a dictated value; unitless temperatures and heights are inferred from their size,
+   * and so are weights too heavy to be kilograms
+   */
+  static parseQuantity(dataKey, value) {
+    let match;
+
+    if (dataKey === 'weight') {
+      if (!(match = value.match(/(\d+(?:\.\d+)?)\s*(kg|kgs|kilos?|kilograms?|lbs?|pounds?)?\b/i))) return null;
+      const number = parseFloat(match[1]);
+      const unit = match[2] ? (/^k/i.test(match[2]) ? 'kg' : 'lb') : (number > UnitConverter.MAX_WEIGHT_KG ? 'lb' : null);
+      return { amount: match[1], value: number, unit };
+    }
+
+    if (dataKey === 'temperature') {
+      if (!(match = value.match(/(-?\d+(?:\.\d+)?)\s*(?:°|degrees?|deg)?\s*(celsius|centigrade|fahrenheit|c|f)?\b/i))) return null;
+      const number = parseFloat(match[1]);
+      const unit = match[2] ? (/^f/i.test(match[2]) ? 'f' : 'c') : (number > 50 ? 'f' : 'c');
+      return { amount: match[1], value: number, unit };
+    }
+
+    if (dataKey === 'height') {
+      if ((match = value.match(/(\d+)\s*(?:'|ft|feet|foot)\s*(?:(\d+(?:\.\d+)?)\s*(?:"|''|in|inch|inches)?)?/i))) {
+        const inches = parseInt(match[1], 10) * 12 + (match[2] ? parseFloat(match[2]) : 0);
+        return { amount: String(inches), value: inches, unit: 'ftin' };
+      }
+      if (!(match = value.match(/(\d+(?:\.\d+)?)\s*(cm|centimet(?:er|re)s?|"|in|inch|inches)?/i))) return null;
+      const number = parseFloat(match[1]);
+      const unit = match[2] ? (/^c/i.test(match[2]) ? 'cm' : 'in') : (number > 100 ? 'cm' : 'in');
+      return { amount: match[1], value: number, unit };
+    }
+
+    return null;
+  }
+
+  static convert(quantity, target) {
+    const { value, unit } = quantity;
+    if (unit === target || (unit === 'ftin' && target === 'in') || (unit === 'in' && target === 'ftin')) return value;
+
+    switch (`${unit}>${target}`) {
+      case 'lb>kg': return value * 0.45359237;
+      case 'kg>lb': return value / 0.45359237;
+      case 'f>c': return (value - 32) * 5 / 9;
+      case 'c>f': return value * 9 / 5 + 32;
+      case 'in>cm':
+      case 'ftin>cm': return value * 2.54;
+      case 'cm>in':
+      case 'cm>ftin': return value / 2.54;
+      default: return value;
+    }
+  }
+
+  static format(amount, unit) {
+    if (unit === 'ftin') {
+      const total = Math.round(amount);
+      return `${Math.floor(total / 12)} ft ${total % 12} in`;
+    }
+    return String(Math.round(amount * 10) / 10);
+  }
+
+  /**
+   * Unit named by the field's label, placeholder, name/id or the text right after it.
+   * When several are named ("ft/in or cm"), the dictated unit wins if it's one of them.
+   */
+  static detectFieldUnit(dataKey, fieldInfo, sourceUnit) {
+    const units = UnitConverter.UNITS[dataKey];
+    const tokens = `${fieldInfo.name} ${fieldInfo.id}`
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .split(/[\s_\-.\[\]]+/)
+      .filter(Boolean);
+    const text = [fieldInfo.label, fieldInfo.placeholder, fieldInfo.ariaLabel, UnitConverter.adjacentText(fieldInfo.element)]
+      .filter(Boolean)
+      .join(' ');
+
+    const named = [];
+    for (const [unit, patterns] of Object.entries(units)) {
+      const index = text.search(patterns.text);
+      if (index !== -1) {
+        named.push({ unit, index });
+      } else if (tokens.some(token => patterns.token.test(token))) {
+        named.push({ unit, index: text.length });
+      }
+    }
+    if (named.length === 0) return null;
+
+    // "ft/in" names both feet and inches; that's the ft/in unit
+    if (named.some(entry => entry.unit === 'ftin')) {
+      const inches = named.find(entry => entry.unit === 'in');
+      if (inches) named.splice(named.indexOf(inches), 1);
+    }
+
+    if (named.some(entry => entry.unit === sourceUnit)) return sourceUnit;
+    return named.sort((a, b) => a.index - b.index)[0].unit;
+  }
+
+  /**
+   * Short text beside the field, e.g. "<input> kg" or "<input><span>°F</span>"
+   */
+  static adjacentText(element) {
+    let text = element.nextSibling?.nodeType === Node.TEXT_NODE ? element.nextSibling.textContent.trim() : '';
+    if (!text && element.nextElementSibling && element.nextElementSibling.tagName !== 'SELECT') {
+      text = element.nextElementSibling.textContent.trim();
+    }
+    return text.length <= 15 ? text : '';
+  }
+
+  /**
+   * A <select> whose options are all units
+   */
+  static isUnitSelect(element) {
+    if (element.tagName !== 'SELECT') return false;
+    const options = Array.from(element.options).filter(option => option.value);
+    if (options.length < 2) return false;
+
+    return Object.keys(UnitConverter.UNITS).some(dataKey =>
+      options.every(option => UnitConverter.optionUnit(dataKey, option))
+    );
+  }
+
+  /**
+   * The unit selector next to a field: the nearest unit <select> in its own or its parent's container
+   */
+  static findUnitSelect(dataKey, element) {
+    let container = element.parentElement;
+    for (let depth = 0; container && depth < 2; depth++, container = container.parentElement) {
+      const select = Array.from(container.querySelectorAll('select')).find(candidate =>
+        UnitConverter.isUnitSelect(candidate) &&
+        Array.from(candidate.options).some(option => UnitConverter.optionUnit(dataKey, option))
+      );
+      if (select) return select;
+    }
+    return null;
+  }
+
+  static optionUnit(dataKey, option) {
+    const units = UnitConverter.UNITS[dataKey];
+    const text = `${option.text} ${option.value}`.trim();
+    for (const [unit, patterns] of Object.entries(units)) {
+      if (patterns.token.test(option.value.trim()) || patterns.token.test(option.text.trim()) || patterns.text.test(text)) {
+        return unit;
+      }
+    }
+    return null;
+  }
+
+  static findUnitOption(dataKey, select, unit) {
+    return Array.from(select.options).find(option => UnitConverter.optionUnit(dataKey, option) === unit) || null;
+  }
+
+  static unitOfSelect(dataKey, select) {
+    const option = select.options[select.selectedIndex];
+    return option ? UnitConverter.optionUnit(dataKey, option) : null;
+  }
+}